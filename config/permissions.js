@@ -0,0 +1,86 @@
+// config/permissions.js
+// Everything a role can be allowed to do, and the built-in roles. The
+// built-in roles are created on startup when missing; after that their
+// permissions are managed through /api/v1/roles, apart from super-admin,
+// which always has every permission.
+
+const PERMISSIONS = {
+  'blogs:create': 'Write new posts',
+  'blogs:edit-own': 'Edit and delete your own unpublished posts',
+  'blogs:edit-any': 'Edit any post, including drafts and revisions',
+  'blogs:publish': 'Publish, schedule, unpublish and archive any post',
+  'blogs:delete': 'Delete any post',
+  'comments:moderate': 'Moderate and delete comments',
+  'media:manage': 'Upload, edit and delete media library assets',
+  'counselors:manage': 'Add and edit counselors and their availability',
+  'appointments:book': 'Book appointments',
+  'appointments:counsel': 'Handle appointments booked with your counselor profile',
+  'appointments:manage': 'See and handle every appointment',
+  'accounts:manage': 'Review failed logins and unlock accounts',
+  'roles:manage': 'Edit roles and assign them to accounts'
+};
+
+// The only permissions a client (User) role may have. Everything else, and
+// ALL_PERMISSIONS, is for staff (Admin) roles only.
+const CLIENT_PERMISSIONS = ['appointments:book', 'appointments:counsel'];
+
+// Stands for every permission, including ones added later
+const ALL_PERMISSIONS = '*';
+
+const SUPER_ADMIN = 'super-admin';
+
+// accountModel says whether the role is for staff (Admin) or client (User)
+// accounts
+const DEFAULT_ROLES = [
+  {
+    name: SUPER_ADMIN,
+    accountModel: 'Admin',
+    description: 'Full access; cannot be changed',
+    permissions: [ALL_PERMISSIONS]
+  },
+  {
+    name: 'admin',
+    accountModel: 'Admin',
+    description: 'Runs the site',
+    permissions: Object.keys(PERMISSIONS)
+  },
+  {
+    name: 'editor',
+    accountModel: 'Admin',
+    description: 'Edits and publishes posts, moderates comments',
+    permissions: [
+      'blogs:create',
+      'blogs:edit-any',
+      'blogs:publish',
+      'blogs:delete',
+      'comments:moderate',
+      'media:manage'
+    ]
+  },
+  {
+    name: 'author',
+    accountModel: 'Admin',
+    description: 'Writes posts for an editor to publish',
+    permissions: ['blogs:create', 'blogs:edit-own']
+  },
+  {
+    name: 'counselor',
+    accountModel: 'User',
+    description: 'Handles their own appointments',
+    permissions: ['appointments:counsel']
+  },
+  {
+    name: 'client',
+    accountModel: 'User',
+    description: 'Books appointments',
+    permissions: ['appointments:book']
+  }
+];
+
+module.exports = {
+  PERMISSIONS,
+  CLIENT_PERMISSIONS,
+  ALL_PERMISSIONS,
+  SUPER_ADMIN,
+  DEFAULT_ROLES
+};
@@ -0,0 +1,120 @@
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const Session = require('../models/Session');
+const { sendTokenResponse } = require('../utils/sessions');
+const { unlockAccount } = require('../utils/loginGuard');
+const { consumeToken, sendEmailVerification } = require('../utils/accountTokens');
+const { queuePasswordReset } = require('../jobs/accountEmails');
+const { sendTwoFactorChallenge } = require('../utils/twoFactor');
+
+// Account recovery and email verification, shared by the admin
+// (/api/v1/auth) and user (/api/v1/users) routers. Handlers that look an
+// account up by email are built per model.
+
+// @desc    Email a password reset link
+// @route   POST /api/v1/auth/forgotpassword
+// @route   POST /api/v1/users/forgotpassword
+// @access  Public
+exports.forgotPassword = Model =>
+  asyncHandler(async (req, res, next) => {
+    // Same answer either way, so the endpoint can't be used to find accounts
+    await queuePasswordReset(Model, req.body.email);
+
+    res.status(200).json({
+      success: true,
+      data: 'If an account exists for that email, a reset link has been sent'
+    });
+  });
+
+// @desc    Choose a new password with a reset token
+// @route   PUT /api/v1/auth/resetpassword/:token
+// @route   PUT /api/v1/users/resetpassword/:token
+// @access  Public
+exports.resetPassword = asyncHandler(async (req, res, next) => {
+  const accountToken = await consumeToken(req.params.token, 'password-reset');
+
+  if (!accountToken) {
+    return next(
+      new ErrorResponse('Reset link is invalid or has expired', 400, { code: 'INVALID_TOKEN' })
+    );
+  }
+
+  const account = accountToken.account;
+  account.password = req.body.password;
+  // Following the emailed link proves the address works
+  account.emailVerified = true;
+  await account.save();
+
+  // Whoever knew the old password is signed out, and a lockout from failed
+  // guesses no longer applies
+  await Session.revokeAll(account, 'password-change');
+  await unlockAccount(account);
+
+  // The emailed link replaces the password, not the second factor
+  if (account.twoFactor?.enabled) {
+    return sendTwoFactorChallenge(account, res);
+  }
+
+  await sendTokenResponse(account, 200, req, res);
+});
+
+// @desc    Confirm an email address
+// @route   PUT /api/v1/auth/verifyemail/:token
+// @route   PUT /api/v1/users/verifyemail/:token
+// @access  Public
+exports.verifyEmail = asyncHandler(async (req, res, next) => {
+  const accountToken = await consumeToken(req.params.token, 'email-verification');
+
+  if (!accountToken) {
+    return next(
+      new ErrorResponse('Verification link is invalid or has expired', 400, {
+        code: 'INVALID_TOKEN'
+      })
+    );
+  }
+
+  const account = accountToken.account;
+
+  // A pending change is applied now; a link for an address the account has
+  // since moved away from is stale
+  if (accountToken.email !== account.email) {
+    if (accountToken.email !== account.pendingEmail) {
+      return next(
+        new ErrorResponse('Verification link is invalid or has expired', 400, {
+          code: 'INVALID_TOKEN'
+        })
+      );
+    }
+
+    account.email = account.pendingEmail;
+  }
+
+  account.pendingEmail = undefined;
+  account.emailVerified = true;
+  await account.save();
+
+  res.status(200).json({
+    success: true,
+    data: account
+  });
+});
+
+// @desc    Send the verification email again
+// @route   POST /api/v1/auth/resendverification
+// @route   POST /api/v1/users/resendverification
+// @access  Private
+exports.resendVerification = asyncHandler(async (req, res, next) => {
+  const account = req.user;
+  const email = account.pendingEmail || (!account.emailVerified && account.email);
+
+  if (!email) {
+    return next(new ErrorResponse('Email address is already verified', 400));
+  }
+
+  await sendEmailVerification(account, email);
+
+  res.status(200).json({
+    success: true,
+    data: `Verification email sent to ${email}`
+  });
+});
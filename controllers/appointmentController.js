@@ -1,11 +1,226 @@
+const crypto = require('crypto');
 const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const Counselor = require('../models/Counselor');
+const ScheduleDay = require('../models/ScheduleDay');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/async');
-const sendEmail = require('../utils/emailService');
+const { notifyAppointment } = require('../utils/appointmentNotifications');
+const { buildCalendar } = require('../utils/icalendar');
+const { can } = require('../utils/permissions');
+const {
+  scheduleReminders,
+  cancelReminders
+} = require('../jobs/appointmentReminders');
+const {
+  APPOINTMENT_DURATIONS,
+  getDateKey,
+  isWithinAvailability,
+  toInstant,
+  toTimeString
+} = require('../utils/availability');
+const {
+  TRANSITIONS,
+  getCancellationCutoffHours,
+  getActorRole
+} = require('../utils/appointmentLifecycle');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// How far back calendar feeds reach
+const CALENDAR_FEED_DAYS = 90;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// Make sure the counselor exists and works at the appointment's time.
+// Resolves to the counselor, or null once an error has been passed on.
+const checkAvailability = async (appointment, next) => {
+  const counselor = await Counselor.findById(appointment.counselor);
+
+  if (!counselor || !counselor.isActive) {
+    next(
+      new ErrorResponse(`Counselor not found with id of ${appointment.counselor}`, 404)
+    );
+    return null;
+  }
+
+  if (
+    !APPOINTMENT_DURATIONS[appointment.type] ||
+    !appointment.date ||
+    !appointment.time ||
+    !isWithinAvailability(
+      counselor,
+      appointment.date,
+      appointment.time,
+      APPOINTMENT_DURATIONS[appointment.type]
+    )
+  ) {
+    next(
+      new ErrorResponse(
+        `${counselor.name} is not available at ${appointment.time} on ${
+          appointment.date ? getDateKey(appointment.date) : appointment.date
+        }`,
+        400
+      )
+    );
+    return null;
+  }
+
+  return counselor;
+};
+
+// 409 for a slot that clashes with another booking
+const scheduleConflict = (appointment, clash) => {
+  const day = getDateKey(appointment.date);
+  const startTime = toTimeString(clash.start);
+  const endTime = toTimeString(clash.end);
+
+  return new ErrorResponse(
+    `The counselor already has a booking from ${startTime} to ${endTime} on ${day}`,
+    409,
+    {
+      code: 'SCHEDULE_CONFLICT',
+      details: { date: day, startTime, endTime }
+    }
+  );
+};
+
+// Load an appointment and check the current user may perform `action` on it
+// in its current state. Resolves to { appointment, actorRole, startsAt }, or
+// null once an error has been passed on.
+const loadForTransition = async (req, action, next) => {
+  const appointment = await Appointment.findById(req.params.id);
+
+  if (!appointment) {
+    next(new ErrorResponse(`Appointment not found with id of ${req.params.id}`, 404));
+    return null;
+  }
+
+  const actorRole = await getActorRole(req, appointment);
+
+  if (!actorRole) {
+    next(
+      new ErrorResponse(
+        `User ${req.user.id} is not authorized to update this appointment`,
+        401
+      )
+    );
+    return null;
+  }
+
+  const transition = TRANSITIONS[action];
+
+  if (!transition.roles.includes(actorRole)) {
+    next(new ErrorResponse(`A ${actorRole} cannot ${action} this appointment`, 403));
+    return null;
+  }
+
+  if (!transition.from.includes(appointment.status)) {
+    next(
+      new ErrorResponse(
+        `Cannot ${action} an appointment that is ${appointment.status}`,
+        400,
+        { code: 'INVALID_TRANSITION' }
+      )
+    );
+    return null;
+  }
+
+  const counselor = await Counselor.findById(appointment.counselor).select('timeZone');
+  const startsAt = toInstant(
+    appointment.date,
+    appointment.time,
+    counselor?.timeZone || 'UTC'
+  );
+
+  return { appointment, actorRole, startsAt };
+};
+
+// Clients may only cancel or reschedule up to the cut-off before the start
+const isPastCutoff = (actorRole, startsAt) =>
+  actorRole === 'client' &&
+  startsAt.getTime() - Date.now() < getCancellationCutoffHours() * HOUR_MS;
+
+// Apply a simple status change (no rescheduling) and record it
+const applyTransition = async (req, res, next, action, { reason } = {}) => {
+  const loaded = await loadForTransition(req, action, next);
+  if (!loaded) return;
+
+  const { appointment, actorRole, startsAt } = loaded;
+
+  if (action === 'cancel' && isPastCutoff(actorRole, startsAt)) {
+    return next(
+      new ErrorResponse(
+        `Appointments can only be cancelled up to ${getCancellationCutoffHours()} hours before they start`,
+        400,
+        { code: 'CANCELLATION_CUTOFF' }
+      )
+    );
+  }
+
+  if (action === 'confirm' && startsAt <= Date.now()) {
+    return next(
+      new ErrorResponse('Cannot confirm an appointment that has already started', 400)
+    );
+  }
+
+  if (['complete', 'no-show'].includes(action) && startsAt > Date.now()) {
+    return next(
+      new ErrorResponse(`Cannot ${action} an appointment before it has started`, 400)
+    );
+  }
+
+  const from = appointment.status;
+  appointment.status = TRANSITIONS[action].to;
+  appointment.recordTransition(action, {
+    from,
+    reason,
+    changedBy: req.user._id,
+    changedByRole: actorRole
+  });
+
+  await appointment.save();
+
+  if (['cancelled', 'completed', 'no-show'].includes(appointment.status)) {
+    await cancelReminders(appointment);
+  }
+
+  if (appointment.status === 'cancelled') {
+    await ScheduleDay.release(ScheduleDay.reservationFor(appointment));
+    await notifyAppointment(appointment, 'appointmentCancelled', {
+      reason,
+      calendarMethod: 'CANCEL'
+    });
+  }
+
+  res.status(200).json({ success: true, data: appointment });
+};
+
+// Appointments the current user may list: every one with
+// appointments:manage, otherwise those booked with their counselor profile
+// and those they booked themselves
+exports.visibleFilter = async req => {
+  if (can(req, 'appointments:manage')) {
+    return {};
+  }
+
+  const conditions = [];
+
+  if (can(req, 'appointments:counsel')) {
+    const counselor = await Counselor.findOne({ user: req.user._id }).select('_id');
+    if (counselor) conditions.push({ counselor: counselor._id });
+  }
+
+  if (can(req, 'appointments:book')) {
+    conditions.push({ user: req.user._id });
+  }
+
+  return conditions.length ? { $or: conditions } : { _id: null };
+};
 
 // @desc    Get all appointments
 // @route   GET /api/appointments
-// @access  Private/Admin
+// @access  Private (filtered to the user's own unless they manage appointments)
 exports.getAppointments = asyncHandler(async (req, res, next) => {
   res.status(200).json(res.advancedResults);
 });
@@ -25,11 +240,8 @@ exports.getAppointment = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Make sure user is appointment owner or admin
-  if (
-    appointment.user._id.toString() !== req.user.id &&
-    req.user.role !== 'admin'
-  ) {
+  // Make sure user is the client, the counselor or an admin
+  if (!(await getActorRole(req, appointment))) {
     return next(
       new ErrorResponse(
         `User ${req.user.id} is not authorized to access this appointment`,
@@ -45,51 +257,63 @@ exports.getAppointment = asyncHandler(async (req, res, next) => {
 // @route   POST /api/appointments
 // @access  Private
 exports.createAppointment = asyncHandler(async (req, res, next) => {
-  // Add user to req.body
-  req.body.user = req.user.id;
-
-  // Check for existing appointment at the same time
-  const existingAppointment = await Appointment.findOne({
-    counselor: req.body.counselor,
-    date: req.body.date,
-    time: req.body.time
+  const { counselor, type, date, time, notes } = req.body;
+
+  const appointment = new Appointment({
+    user: req.user.id,
+    counselor,
+    type,
+    date,
+    time,
+    notes
   });
 
-  if (existingAppointment) {
-    return next(
-      new ErrorResponse(
-        `There is already an appointment booked at ${req.body.time} on ${req.body.date}`,
-        400
-      )
-    );
+  const counselorDoc = await checkAvailability(appointment, next);
+  if (!counselorDoc) return;
+
+  if (toInstant(appointment.date, appointment.time, counselorDoc.timeZone) <= Date.now()) {
+    return next(new ErrorResponse('Appointments cannot be booked in the past', 400));
   }
 
-  const appointment = await Appointment.create(req.body);
+  appointment.recordTransition('create', {
+    changedBy: req.user._id,
+    changedByRole: 'client'
+  });
 
-  // Send confirmation email
-  const message = `Your ${appointment.type} career counseling appointment has been scheduled for ${appointment.date} at ${appointment.time}.`;
+  await appointment.validate();
+
+  // Claim the time on the counselor's schedule before saving, so concurrent
+  // requests for overlapping times cannot both get through
+  const clash = await ScheduleDay.reserve(ScheduleDay.reservationFor(appointment));
+
+  if (clash) {
+    return next(scheduleConflict(appointment, clash));
+  }
 
   try {
-    await sendEmail({
-      email: req.user.email,
-      subject: 'Career Counseling Appointment Confirmation',
-      message
-    });
+    await appointment.save();
   } catch (err) {
-    console.error('Email could not be sent');
+    await ScheduleDay.release(ScheduleDay.reservationFor(appointment));
+    throw err;
   }
 
+  // Send confirmation email
+  await notifyAppointment(appointment, 'bookingConfirmed', {
+    calendarMethod: 'REQUEST'
+  });
+  await scheduleReminders(appointment);
+
   res.status(201).json({
     success: true,
     data: appointment
   });
 });
 
-// @desc    Update appointment
+// @desc    Update appointment notes
 // @route   PUT /api/appointments/:id
 // @access  Private
 exports.updateAppointment = asyncHandler(async (req, res, next) => {
-  let appointment = await Appointment.findById(req.params.id);
+  const appointment = await Appointment.findById(req.params.id);
 
   if (!appointment) {
     return next(
@@ -97,11 +321,7 @@ exports.updateAppointment = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Make sure user is appointment owner or admin
-  if (
-    appointment.user.toString() !== req.user.id &&
-    req.user.role !== 'admin'
-  ) {
+  if (!(await getActorRole(req, appointment))) {
     return next(
       new ErrorResponse(
         `User ${req.user.id} is not authorized to update this appointment`,
@@ -110,9 +330,126 @@ exports.updateAppointment = asyncHandler(async (req, res, next) => {
     );
   }
 
-  appointment = await Appointment.findByIdAndUpdate(req.params.id, req.body, {
-    new: true,
-    runValidators: true
+  // Status, time and participants change through the dedicated endpoints
+  if (req.body.notes !== undefined) {
+    appointment.notes = req.body.notes;
+  }
+
+  await appointment.save();
+
+  res.status(200).json({ success: true, data: appointment });
+});
+
+// @desc    Confirm appointment
+// @route   PUT /api/appointments/:id/confirm
+// @access  Private/Counselor/Admin
+exports.confirmAppointment = asyncHandler(async (req, res, next) => {
+  await applyTransition(req, res, next, 'confirm');
+});
+
+// @desc    Cancel appointment
+// @route   PUT /api/appointments/:id/cancel
+// @access  Private
+exports.cancelAppointment = asyncHandler(async (req, res, next) => {
+  await applyTransition(req, res, next, 'cancel', { reason: req.body.reason });
+});
+
+// @desc    Mark appointment completed
+// @route   PUT /api/appointments/:id/complete
+// @access  Private/Counselor/Admin
+exports.completeAppointment = asyncHandler(async (req, res, next) => {
+  await applyTransition(req, res, next, 'complete');
+});
+
+// @desc    Mark client as a no-show
+// @route   PUT /api/appointments/:id/no-show
+// @access  Private/Counselor/Admin
+exports.markNoShow = asyncHandler(async (req, res, next) => {
+  await applyTransition(req, res, next, 'no-show');
+});
+
+// @desc    Reschedule appointment
+// @route   PUT /api/appointments/:id/reschedule
+// @access  Private
+exports.rescheduleAppointment = asyncHandler(async (req, res, next) => {
+  const { date, time, type, reason } = req.body;
+
+  const loaded = await loadForTransition(req, 'reschedule', next);
+  if (!loaded) return;
+
+  const { appointment, actorRole, startsAt } = loaded;
+
+  if (isPastCutoff(actorRole, startsAt)) {
+    return next(
+      new ErrorResponse(
+        `Appointments can only be rescheduled up to ${getCancellationCutoffHours()} hours before they start`,
+        400,
+        { code: 'CANCELLATION_CUTOFF' }
+      )
+    );
+  }
+
+  const previous = ScheduleDay.reservationFor(appointment);
+  const { date: previousDate, time: previousTime, status: from } = appointment;
+
+  appointment.set({ date, time });
+  if (type) appointment.type = type;
+
+  const counselor = await checkAvailability(appointment, next);
+  if (!counselor) return;
+
+  if (toInstant(appointment.date, appointment.time, counselor.timeZone) <= Date.now()) {
+    return next(new ErrorResponse('Appointments cannot be moved into the past', 400));
+  }
+
+  // A client moving the session needs the counselor to confirm again
+  if (actorRole === 'client') {
+    appointment.status = 'pending';
+  }
+
+  appointment.recordTransition('reschedule', {
+    from,
+    reason,
+    previousDate,
+    previousTime,
+    changedBy: req.user._id,
+    changedByRole: actorRole
+  });
+
+  await appointment.validate();
+
+  const clash = await ScheduleDay.reserve(ScheduleDay.reservationFor(appointment));
+
+  if (clash) {
+    return next(scheduleConflict(appointment, clash));
+  }
+
+  const movedDay = previous.day !== getDateKey(appointment.date);
+
+  try {
+    await appointment.save();
+  } catch (err) {
+    // Give back the new time; on the same day that means restoring the old
+    // range, which reserve() moved
+    if (movedDay) {
+      await ScheduleDay.release(ScheduleDay.reservationFor(appointment));
+    } else {
+      await ScheduleDay.reserve(previous);
+    }
+    throw err;
+  }
+
+  // Free the old time if the appointment moved to another day
+  if (movedDay) {
+    await ScheduleDay.release(previous);
+  }
+
+  await scheduleReminders(appointment);
+  await notifyAppointment(appointment, 'appointmentRescheduled', {
+    previous: { date: previousDate, time: previousTime },
+    reason,
+    needsConfirmation: appointment.status === 'pending',
+    calendarMethod: 'REQUEST'
   });
 
   res.status(200).json({ success: true, data: appointment });
@@ -120,7 +457,7 @@ exports.updateAppointment = asyncHandler(async (req, res, next) => {
 
 // @desc    Delete appointment
 // @route   DELETE /api/appointments/:id
-// @access  Private
+// @access  Private/Admin
 exports.deleteAppointment = asyncHandler(async (req, res, next) => {
   const appointment = await Appointment.findById(req.params.id);
 
@@ -130,20 +467,9 @@ exports.deleteAppointment = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Make sure user is appointment owner or admin
-  if (
-    appointment.user.toString() !== req.user.id &&
-    req.user.role !== 'admin'
-  ) {
-    return next(
-      new ErrorResponse(
-        `User ${req.user.id} is not authorized to delete this appointment`,
-        401
-      )
-    );
-  }
-
-  await appointment.remove();
+  await appointment.deleteOne();
+  await ScheduleDay.release(ScheduleDay.reservationFor(appointment));
+  await cancelReminders(appointment);
 
   res.status(200).json({ success: true, data: {} });
 });
@@ -161,4 +487,94 @@ exports.getCounselorAppointments = asyncHandler(async (req, res, next) => {
     count: appointments.length,
     data: appointments
   });
-});
\ No newline at end of file
+});
+
+// @desc    Create (or rotate) the secret calendar feed URL
+// @route   POST /api/appointments/calendar/token
+// @access  Private
+exports.createCalendarToken = asyncHandler(async (req, res, next) => {
+  let owner;
+
+  if (can(req, 'appointments:manage')) {
+    // Admins hand out feeds for counselors without a login of their own
+    owner = await Counselor.findById(req.body.counselor);
+  } else if (can(req, 'appointments:counsel')) {
+    owner = await Counselor.findOne({ user: req.user._id });
+  } else if (req.user.constructor.modelName === 'Admin') {
+    // Other staff have no appointments of their own to subscribe to
+    return next(new ErrorResponse('Not authorized to create a calendar feed', 403));
+  } else {
+    owner = req.user;
+  }
+
+  if (!owner) {
+    return next(new ErrorResponse('No calendar found for this account', 404));
+  }
+
+  // Only the hash is stored, so the URL is shown once and old ones stop working
+  const token = crypto.randomBytes(24).toString('hex');
+  owner.calendarToken = hashToken(token);
+  await owner.save({ validateBeforeSave: false });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      url: `${req.protocol}://${req.get('host')}${req.baseUrl}/calendar.ics?token=${token}`
+    }
+  });
+});
+
+// @desc    Subscribable calendar of a user's or counselor's appointments
+// @route   GET /api/appointments/calendar.ics?token=
+// @access  Public (feed token)
+exports.getCalendarFeed = asyncHandler(async (req, res, next) => {
+  if (!req.query.token) {
+    return next(new ErrorResponse('Not authorized', 401));
+  }
+
+  const calendarToken = hashToken(String(req.query.token));
+  const filter = {
+    date: { $gte: new Date(Date.now() - CALENDAR_FEED_DAYS * 24 * HOUR_MS) }
+  };
+  let name;
+
+  const user = await User.findOne({ calendarToken });
+
+  if (user) {
+    filter.user = user._id;
+    name = 'Coyolia career counseling';
+  } else {
+    const counselor = await Counselor.findOne({ calendarToken });
+
+    if (!counselor) {
+      return next(new ErrorResponse('Not authorized', 401));
+    }
+
+    filter.counselor = counselor._id;
+    name = `Coyolia appointments - ${counselor.name}`;
+  }
+
+  const appointments = await Appointment.find(filter)
+    .sort('date time')
+    .populate(['user', 'counselor']);
+
+  const calendar = buildCalendar({
+    name,
+    events: appointments
+      .filter(appointment => appointment.user && appointment.counselor)
+      .map(appointment => ({
+        appointment,
+        counselor: appointment.counselor,
+        user: appointment.user
+      }))
+  });
+
+  res
+    .status(200)
+    .set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="appointments.ics"',
+      'Cache-Control': 'private, max-age=300'
+    })
+    .send(calendar);
+});
@@ -1,7 +1,12 @@
 const Admin = require('../models/Admin');
+const User = require('../models/User');
+const Session = require('../models/Session');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/async');
-const jwt = require('jsonwebtoken');
+const { sendTokenResponse } = require('../utils/sessions');
+const { authenticate, unlockAccount } = require('../utils/loginGuard');
+const { requestEmailChange } = require('../utils/accountTokens');
+const { sendTwoFactorChallenge } = require('../utils/twoFactor');
 
 // @desc    Login admin
 // @route   POST /api/v1/auth/login
@@ -9,46 +14,15 @@ const jwt = require('jsonwebtoken');
 exports.login = asyncHandler(async (req, res, next) => {
   const { email, password } = req.body;
 
-  // Validate email & password
-  if (!email || !password) {
-    return next(new ErrorResponse('Please provide an email and password', 400));
-  }
-
-  // Check for admin
-  const admin = await Admin.findOne({ email }).select('+password');
+  // Throws on bad credentials, and while throttled or locked out
+  const admin = await authenticate(Admin, email, password, req);
 
-  if (!admin) {
-    return next(new ErrorResponse('Invalid credentials', 401));
+  // The code is checked by POST /login/2fa, which issues the tokens
+  if (admin.twoFactor?.enabled) {
+    return sendTwoFactorChallenge(admin, res);
   }
 
-  // Check if password matches
-  const isMatch = await admin.matchPassword(password);
-
-  if (!isMatch) {
-    return next(new ErrorResponse('Invalid credentials', 401));
-  }
-
-  // Create token
-  const token = jwt.sign({ id: admin._id, role: admin.role }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE
-  });
-
-  // Create cookie options
-  const cookieOptions = {
-    expires: new Date(
-      Date.now() + process.env.JWT_COOKIE_EXPIRE * 24 * 60 * 60 * 1000
-    ),
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production'
-  };
-
-  res
-    .status(200)
-    .cookie('token', token, cookieOptions)
-    .json({
-      success: true,
-      token
-    });
+  await sendTokenResponse(admin, 200, req, res);
 });
 
 // @desc    Get current logged in admin
@@ -67,34 +41,14 @@ exports.getMe = asyncHandler(async (req, res, next) => {
   });
 });
 
-// @desc    Logout admin
-// @route   GET /api/v1/auth/logout
-// @access  Private
-exports.logout = asyncHandler(async (req, res, next) => {
-  res
-    .cookie('token', 'none', {
-      expires: new Date(Date.now() + 10 * 1000),
-      httpOnly: true
-    })
-    .status(200)
-    .json({
-      success: true,
-      data: {}
-    });
-});
-
 // @desc    Update admin details
 // @route   PUT /api/v1/auth/updatedetails
 // @access  Private
 exports.updateDetails = asyncHandler(async (req, res, next) => {
-  const fieldsToUpdate = {
-    email: req.body.email
-  };
+  const admin = await Admin.findById(req.user.id);
 
-  const admin = await Admin.findByIdAndUpdate(req.user.id, fieldsToUpdate, {
-    new: true,
-    runValidators: true
-  }).select('-password');
+  // The new address is confirmed by email before it replaces the old one
+  await requestEmailChange(admin, req.body.email);
 
   res.status(200).json({
     success: true,
@@ -116,13 +70,37 @@ exports.updatePassword = asyncHandler(async (req, res, next) => {
   admin.password = req.body.newPassword;
   await admin.save();
 
-  // Create token
-  const token = jwt.sign({ id: admin._id, role: admin.role }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE
+  // Sign out every device, then start a new session for this one
+  await Session.revokeAll(admin, 'password-change');
+  await sendTokenResponse(admin, 200, req, res, {
+    twoFactorVerified: req.twoFactorVerified
   });
+});
+
+// @desc    Get failed login attempts (audit)
+// @route   GET /api/v1/auth/login-attempts
+// @access  Private/Admin
+exports.getLoginAttempts = asyncHandler(async (req, res, next) => {
+  res.status(200).json(res.advancedResults);
+});
+
+// @desc    Unlock an account locked after failed logins
+// @route   PUT /api/v1/auth/unlock
+// @access  Private/Admin
+exports.unlockLogin = asyncHandler(async (req, res, next) => {
+  const Model = req.body.accountType === 'admin' ? Admin : User;
+  const account = await Model.findOne({ email: req.body.email });
+
+  if (!account) {
+    return next(
+      new ErrorResponse(`No ${req.body.accountType} found with email ${req.body.email}`, 404)
+    );
+  }
+
+  await unlockAccount(account);
 
   res.status(200).json({
     success: true,
-    token
+    data: {}
   });
-});
\ No newline at end of file
+});
@@ -1,34 +1,161 @@
+const mongoose = require('mongoose');
 const Blog = require('../models/Blog');
+const BlogRevision = require('../models/BlogRevision');
+const Comment = require('../models/Comment');
+const Media = require('../models/Media');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/async');
-const cloudinary = require('cloudinary').v2;
+const { storeImage, removeImage } = require('../utils/storage');
+const { can, canEditBlog } = require('../utils/permissions');
+const { getSearchTerms, highlight, buildSnippet } = require('../utils/highlight');
+const {
+  schedulePublish,
+  cancelScheduledPublish
+} = require('../jobs/blogPublishing');
 
-// Helper function to validate required fields
-const validateRequiredFields = (body, requiredFields, next) => {
-  const missingFields = requiredFields.filter(field => !body[field]);
-  if (missingFields.length > 0) {
-    return next(new ErrorResponse(
-      `The following fields are required: ${missingFields.join(', ')}`, 
-      400
-    ));
+// Fields of a library cover image sent along with a blog
+const COVER_FIELDS = 'url alt width height format variants';
+
+// coverImage must name an asset in the media library (null clears it)
+const checkCoverImage = async (body, next) => {
+  if (!body.coverImage) return true;
+
+  const exists =
+    mongoose.isValidObjectId(body.coverImage) && (await Media.exists({ _id: body.coverImage }));
+
+  if (!exists) {
+    next(new ErrorResponse(`Media not found with id of ${body.coverImage}`, 404));
+    return false;
+  }
+  return true;
+};
+
+// Keep the publish job in step with the post's publishAt. A publishAt that
+// has already passed publishes straight away.
+const syncPublishSchedule = async blog => {
+  if (blog.isPublished || blog.archivedAt || !blog.publishAt) {
+    await cancelScheduledPublish(blog);
+    return;
+  }
+
+  if (blog.publishAt <= Date.now()) {
+    blog.isPublished = true;
+    await blog.save();
+    await cancelScheduledPublish(blog);
+    return;
+  }
+
+  await schedulePublish(blog);
+};
+
+// Publishing through the create and update bodies needs blogs:publish
+const checkPublishing = (req, next) => {
+  const publishing = req.body.isPublished !== undefined || req.body.publishAt !== undefined;
+
+  if (publishing && !can(req, 'blogs:publish')) {
+    next(new ErrorResponse('Not authorized to publish blogs', 403));
+    return false;
   }
   return true;
 };
 
+const canSeeBlog = (req, blog) =>
+  blog.isPublic ||
+  can(req, 'blogs:edit-any') ||
+  (can(req, 'blogs:edit-own') && blog.author.equals(req.user._id));
+
+// Posts the current user may list: all of them for editors, public ones
+// plus their own for authors, public ones for everyone else
+exports.visibleFilter = req => {
+  if (can(req, 'blogs:edit-any')) {
+    return {};
+  }
+
+  if (can(req, 'blogs:edit-own')) {
+    return { $or: [Blog.publicFilter(), { author: req.user._id }] };
+  }
+
+  return Blog.publicFilter();
+};
+
 // @desc    Get all blogs
 // @route   GET /api/blogs
 // @access  Public
 exports.getBlogs = asyncHandler(async (req, res, next) => {
   try {
-    const results = res.advancedResults || {
-      success: true,
-      count: await Blog.countDocuments(),
-      data: await Blog.find().select('-__v')
+    res.status(200).json(res.advancedResults);
+  } catch (err) {
+    next(ErrorResponse.from(err, 'Failed to fetch blogs'));
+  }
+});
+
+// @desc    Search blogs
+// @route   GET /api/blogs/search?q=&tag=&page=&limit=
+// @access  Public
+exports.searchBlogs = asyncHandler(async (req, res, next) => {
+  try {
+    const q = String(req.query.q || '').trim();
+
+    if (!q) {
+      return next(new ErrorResponse('Please provide a search query', 400));
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+
+    const match = {
+      $text: { $search: q },
+      ...exports.visibleFilter(req)
     };
-    res.status(200).json(results);
+
+    // Facets count every match, before narrowing down to a tag
+    const filter = req.query.tag ? { ...match, tags: req.query.tag } : match;
+
+    const [results, total, facets] = await Promise.all([
+      Blog.find(filter, { score: { $meta: 'textScore' } })
+        .select('title slug excerpt content tags image coverImage author publishedAt createdAt')
+        .populate('coverImage', COVER_FIELDS)
+        .sort({ score: { $meta: 'textScore' } })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Blog.countDocuments(filter),
+      Blog.aggregate([
+        { $match: match },
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: 20 }
+      ])
+    ]);
+
+    const terms = getSearchTerms(q);
+
+    res.status(200).json({
+      success: true,
+      count: results.length,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      },
+      facets: {
+        tags: facets.map(({ _id, count }) => ({ tag: _id, count }))
+      },
+      data: results.map(blog => {
+        const { content, ...fields } = blog.toObject();
+
+        return {
+          ...fields,
+          highlights: {
+            title: highlight(blog.title, terms),
+            snippet: buildSnippet(content, terms)
+          }
+        };
+      })
+    });
   } catch (err) {
-    console.error('Error fetching blogs:', err);
-    next(new ErrorResponse('Failed to fetch blogs', 500));
+    next(ErrorResponse.from(err, 'Failed to search blogs'));
   }
 });
 
@@ -37,22 +164,70 @@ exports.getBlogs = asyncHandler(async (req, res, next) => {
 // @access  Public
 exports.getBlog = asyncHandler(async (req, res, next) => {
   try {
-    const blog = await Blog.findById(req.params.id).select('-__v');
+    const blog = await Blog.findById(req.params.id)
+      .select('-__v')
+      .populate('coverImage', COVER_FIELDS);
     
-    if (!blog) {
+    // Drafts, scheduled and archived posts are only visible to their editors
+    if (!blog || !canSeeBlog(req, blog)) {
       return next(new ErrorResponse(
         `Blog not found with id of ${req.params.id}`, 
         404
       ));
     }
+
+    // Posts saved before Markdown rendering existed
+    if (!blog.contentHtml) {
+      blog.renderContent();
+    }
     
     res.status(200).json({ 
       success: true, 
       data: blog 
     });
   } catch (err) {
-    console.error('Error fetching blog:', err);
-    next(new ErrorResponse('Failed to fetch blog', 500));
+    next(ErrorResponse.from(err, 'Failed to fetch blog'));
+  }
+});
+
+// @desc    Get single blog by slug
+// @route   GET /api/blogs/slug/:slug
+// @access  Public
+exports.getBlogBySlug = asyncHandler(async (req, res, next) => {
+  try {
+    const slug = req.params.slug.toLowerCase();
+    let blog = await Blog.findOne({ slug })
+      .select('-__v')
+      .populate('coverImage', COVER_FIELDS);
+    let redirect = false;
+
+    // Renamed posts still resolve through their old slugs
+    if (!blog) {
+      blog = await Blog.findOne({ previousSlugs: slug })
+        .select('-__v')
+        .populate('coverImage', COVER_FIELDS);
+      redirect = Boolean(blog);
+    }
+
+    if (!blog || !canSeeBlog(req, blog)) {
+      return next(new ErrorResponse(
+        `Blog not found with slug of ${req.params.slug}`, 
+        404
+      ));
+    }
+
+    if (!blog.contentHtml) {
+      blog.renderContent();
+    }
+
+    res.status(200).json({ 
+      success: true, 
+      canonicalSlug: blog.slug,
+      redirect,
+      data: blog 
+    });
+  } catch (err) {
+    next(ErrorResponse.from(err, 'Failed to fetch blog'));
   }
 });
 
@@ -61,23 +236,24 @@ exports.getBlog = asyncHandler(async (req, res, next) => {
 // @access  Private/Admin
 exports.createBlog = asyncHandler(async (req, res, next) => {
   try {
-    // Validate required fields
-    if (!validateRequiredFields(req.body, ['title', 'content'], next)) {
+    // Body fields are checked and whitelisted by validators/blogValidators
+    if (!checkPublishing(req, next) || !(await checkCoverImage(req.body, next))) {
       return;
     }
     
     // Set author
-    req.body.author = req.user?.id || 'admin';
+    req.body.author = req.user.id;
     
     const blog = await Blog.create(req.body);
+    await BlogRevision.record(blog, req.user?._id);
+    await syncPublishSchedule(blog);
     
     res.status(201).json({
       success: true,
       data: blog
     });
   } catch (err) {
-    console.error('Error creating blog:', err);
-    next(new ErrorResponse('Failed to create blog', 500));
+    next(ErrorResponse.from(err, 'Failed to create blog'));
   }
 });
 
@@ -86,7 +262,7 @@ exports.createBlog = asyncHandler(async (req, res, next) => {
 // @access  Private/Admin
 exports.updateBlog = asyncHandler(async (req, res, next) => {
   try {
-    let blog = await Blog.findById(req.params.id);
+    const blog = await Blog.findById(req.params.id);
     
     if (!blog) {
       return next(new ErrorResponse(
@@ -96,26 +272,120 @@ exports.updateBlog = asyncHandler(async (req, res, next) => {
     }
     
     // Authorization check
-    if (blog.author.toString() !== req.user?.id && req.user?.role !== 'admin') {
+    if (!canEditBlog(req, blog)) {
       return next(new ErrorResponse(
         'Not authorized to update this blog', 
         403
       ));
     }
     
-    blog = await Blog.findByIdAndUpdate(
-      req.params.id, 
-      req.body, 
-      { new: true, runValidators: true }
-    ).select('-__v');
+    if (!checkPublishing(req, next) || !(await checkCoverImage(req.body, next))) {
+      return;
+    }
+
+    // Keep the version being replaced if the post predates revisions
+    await BlogRevision.ensureHistory(blog);
+
+    // Saved through the document so the slug is kept in step with the title
+    blog.set(req.body);
+    const contentChanged = BlogRevision.TRACKED_FIELDS.some(field => blog.isModified(field));
+    await blog.save();
+
+    if (contentChanged) {
+      await BlogRevision.record(blog, req.user?._id);
+    }
+
+    await syncPublishSchedule(blog);
     
     res.status(200).json({ 
       success: true, 
       data: blog 
     });
   } catch (err) {
-    console.error('Error updating blog:', err);
-    next(new ErrorResponse('Failed to update blog', 500));
+    next(ErrorResponse.from(err, 'Failed to update blog'));
+  }
+});
+
+// Shared loader for the publishing actions below (the routes require
+// blogs:publish, which covers every post)
+const findEditableBlog = async (req, next) => {
+  const blog = await Blog.findById(req.params.id);
+
+  if (!blog) {
+    next(new ErrorResponse(`Blog not found with id of ${req.params.id}`, 404));
+    return null;
+  }
+
+  return blog;
+};
+
+// @desc    Publish blog now, or schedule it with publishAt
+// @route   PUT /api/blogs/:id/publish
+// @access  Private/Admin
+exports.publishBlog = asyncHandler(async (req, res, next) => {
+  try {
+    const blog = await findEditableBlog(req, next);
+    if (!blog) return;
+
+    const { publishAt } = req.body;
+
+    if (publishAt && publishAt > Date.now()) {
+      blog.set({ isPublished: false, publishAt, archivedAt: undefined });
+    } else {
+      blog.isPublished = true;
+    }
+
+    await blog.save();
+    await syncPublishSchedule(blog);
+
+    res.status(200).json({
+      success: true,
+      data: blog
+    });
+  } catch (err) {
+    next(ErrorResponse.from(err, 'Failed to publish blog'));
+  }
+});
+
+// @desc    Unpublish blog (back to draft)
+// @route   PUT /api/blogs/:id/unpublish
+// @access  Private/Admin
+exports.unpublishBlog = asyncHandler(async (req, res, next) => {
+  try {
+    const blog = await findEditableBlog(req, next);
+    if (!blog) return;
+
+    blog.set({ isPublished: false, publishAt: undefined });
+    await blog.save();
+    await cancelScheduledPublish(blog);
+
+    res.status(200).json({
+      success: true,
+      data: blog
+    });
+  } catch (err) {
+    next(ErrorResponse.from(err, 'Failed to unpublish blog'));
+  }
+});
+
+// @desc    Archive blog
+// @route   PUT /api/blogs/:id/archive
+// @access  Private/Admin
+exports.archiveBlog = asyncHandler(async (req, res, next) => {
+  try {
+    const blog = await findEditableBlog(req, next);
+    if (!blog) return;
+
+    blog.set({ isPublished: false, publishAt: undefined, archivedAt: Date.now() });
+    await blog.save();
+    await cancelScheduledPublish(blog);
+
+    res.status(200).json({
+      success: true,
+      data: blog
+    });
+  } catch (err) {
+    next(ErrorResponse.from(err, 'Failed to archive blog'));
   }
 });
 
@@ -134,31 +404,25 @@ exports.deleteBlog = asyncHandler(async (req, res, next) => {
     }
     
     // Authorization check
-    if (blog.author.toString() !== req.user?.id && req.user?.role !== 'admin') {
+    if (!can(req, 'blogs:delete') && !canEditBlog(req, blog)) {
       return next(new ErrorResponse(
         'Not authorized to delete this blog', 
         403
       ));
     }
     
-    // Delete image from Cloudinary if exists
-    if (blog.image?.public_id) {
-      try {
-        await cloudinary.uploader.destroy(blog.image.public_id);
-      } catch (cloudinaryErr) {
-        console.error('Error deleting Cloudinary image:', cloudinaryErr);
-      }
-    }
-    
     await blog.deleteOne();
+    await removeImage(blog.image);
+    await BlogRevision.deleteMany({ blog: blog._id });
+    await Comment.deleteMany({ blog: blog._id });
+    await cancelScheduledPublish(blog);
     
     res.status(200).json({ 
       success: true, 
       data: {} 
     });
   } catch (err) {
-    console.error('Error deleting blog:', err);
-    next(new ErrorResponse('Failed to delete blog', 500));
+    next(ErrorResponse.from(err, 'Failed to delete blog'));
   }
 });
 
@@ -177,70 +441,53 @@ exports.uploadBlogImage = asyncHandler(async (req, res, next) => {
     }
     
     // Authorization check
-    if (blog.author.toString() !== req.user?.id && req.user?.role !== 'admin') {
+    if (!canEditBlog(req, blog)) {
       return next(new ErrorResponse(
         'Not authorized to update this blog', 
         403
       ));
     }
     
-    if (!req.files?.file) {
+    if (!req.file) {
       return next(new ErrorResponse(
         'Please upload an image file', 
         400
       ));
     }
     
-    const file = req.files.file;
-    const maxSize = process.env.MAX_FILE_UPLOAD || 5000000; // 5MB default
+    let image;
     
-    // Validate image this is the image validation
-    if (!file.mimetype.startsWith('image')) {
-      return next(new ErrorResponse(
-        'Please upload an image file (JPEG, PNG, etc.)', 
-        400
-      ));
-    }
-    
-    if (file.size > maxSize) {
-      return next(new ErrorResponse(
-        `Image size must be less than ${maxSize/1000000}MB`, 
-        400
-      ));
+    try {
+      image = await storeImage(req.file.buffer, { folder: `blogs/${blog._id}` });
+    } catch (storeErr) {
+      if (storeErr.statusCode === 400) {
+        return next(new ErrorResponse(
+          'Please upload an image file (JPEG, PNG, GIF or WebP)', 
+          400
+        ));
+      }
+      throw storeErr;
     }
     
-    // Upload to Cloudinary
-    const result = await cloudinary.uploader.upload(file.tempFilePath, {
-      folder: 'coyolia/blogs',
-      width: 1200,
-      crop: 'fill',
-      quality: 'auto',
-      format: 'jpg'
-    });
+    const previousImage = blog.toObject().image;
+    blog.image = image;
     
-    // Delete old image if exists
-    if (blog.image?.public_id) {
-      try {
-        await cloudinary.uploader.destroy(blog.image.public_id);
-      } catch (cloudinaryErr) {
-        console.error('Error deleting old Cloudinary image:', cloudinaryErr);
-      }
+    try {
+      await blog.save();
+    } catch (saveErr) {
+      // The blog still points at the old image, so drop the new files
+      await removeImage(image);
+      throw saveErr;
     }
     
-    // Update blog with new image
-    blog.image = {
-      public_id: result.public_id,
-      url: result.secure_url
-    };
-    
-    await blog.save();
+    // Only remove the old files once nothing references them
+    await removeImage(previousImage);
     
     res.status(200).json({
       success: true,
       data: blog
     });
   } catch (err) {
-    console.error('Error uploading blog image:', err);
-    next(new ErrorResponse('Failed to upload image', 500));
+    next(ErrorResponse.from(err, 'Failed to upload image'));
   }
 });
\ No newline at end of file
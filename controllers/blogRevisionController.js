@@ -0,0 +1,142 @@
+const Blog = require('../models/Blog');
+const BlogRevision = require('../models/BlogRevision');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const { diffLines, diffList } = require('../utils/diff');
+const { canEditBlog } = require('../utils/permissions');
+
+// Shared loader: the blog and, when :version is in the route, that revision
+const findBlogAndRevision = async (req, next) => {
+  const blog = await Blog.findById(req.params.id);
+
+  if (!blog) {
+    next(new ErrorResponse(`Blog not found with id of ${req.params.id}`, 404));
+    return null;
+  }
+
+  if (!canEditBlog(req, blog)) {
+    next(new ErrorResponse('Not authorized to access revisions of this blog', 403));
+    return null;
+  }
+
+  if (req.params.version === undefined) {
+    return { blog };
+  }
+
+  const revision = await BlogRevision.findOne({
+    blog: blog._id,
+    version: Number(req.params.version)
+  });
+
+  if (!revision) {
+    next(new ErrorResponse(
+      `Revision ${req.params.version} not found for blog ${req.params.id}`, 
+      404
+    ));
+    return null;
+  }
+
+  return { blog, revision };
+};
+
+// @desc    List revisions of a blog
+// @route   GET /api/blogs/:id/revisions
+// @access  Private/Admin
+exports.getRevisions = asyncHandler(async (req, res, next) => {
+  const found = await findBlogAndRevision(req, next);
+  if (!found) return;
+
+  const revisions = await BlogRevision.find({ blog: found.blog._id })
+    .select('-content -__v')
+    .sort('-version')
+    .populate({ path: 'editor', select: 'email' });
+
+  res.status(200).json({
+    success: true,
+    count: revisions.length,
+    data: revisions
+  });
+});
+
+// @desc    Get a single revision
+// @route   GET /api/blogs/:id/revisions/:version
+// @access  Private/Admin
+exports.getRevision = asyncHandler(async (req, res, next) => {
+  const found = await findBlogAndRevision(req, next);
+  if (!found) return;
+
+  res.status(200).json({
+    success: true,
+    data: found.revision
+  });
+});
+
+// @desc    Diff two revisions
+// @route   GET /api/blogs/:id/revisions/diff?from=1&to=2
+// @access  Private/Admin
+exports.diffRevisions = asyncHandler(async (req, res, next) => {
+  const found = await findBlogAndRevision(req, next);
+  if (!found) return;
+
+  const from = Number(req.query.from);
+  const to = req.query.to === undefined ? null : Number(req.query.to);
+
+  // Without `to`, compare against the latest revision
+  const [before, after] = await Promise.all([
+    BlogRevision.findOne({ blog: found.blog._id, version: from }),
+    to === null
+      ? BlogRevision.findOne({ blog: found.blog._id }).sort('-version')
+      : BlogRevision.findOne({ blog: found.blog._id, version: to })
+  ]);
+
+  if (!before || !after) {
+    return next(new ErrorResponse('Revision not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      from: before.version,
+      to: after.version,
+      title: before.title === after.title ? null : { from: before.title, to: after.title },
+      excerpt: before.excerpt === after.excerpt
+        ? null
+        : { from: before.excerpt, to: after.excerpt },
+      tags: diffList(before.tags, after.tags),
+      content: diffLines(before.content, after.content)
+    }
+  });
+});
+
+// @desc    Restore a revision as the current version
+// @route   POST /api/blogs/:id/revisions/:version/restore
+// @access  Private/Admin
+exports.restoreRevision = asyncHandler(async (req, res, next) => {
+  const found = await findBlogAndRevision(req, next);
+  if (!found) return;
+
+  const { blog, revision } = found;
+
+  BlogRevision.TRACKED_FIELDS.forEach(field => {
+    blog[field] = revision[field];
+  });
+
+  // An excerpt that was generated is left for the save to generate again, so
+  // it keeps following the content
+  if (revision.excerptIsAuto) {
+    blog.excerpt = undefined;
+  }
+
+  await blog.save();
+
+  // Restoring is itself a change, so it gets a new version on top
+  const restored = await BlogRevision.record(blog, req.user._id, {
+    restoredFrom: revision.version
+  });
+
+  res.status(200).json({
+    success: true,
+    version: restored.version,
+    data: blog
+  });
+});
@@ -0,0 +1,189 @@
+const Blog = require('../models/Blog');
+const Comment = require('../models/Comment');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const checkSpam = require('../utils/spamCheck');
+const { can } = require('../utils/permissions');
+
+// Turn a flat, oldest-first list into top-level comments with nested
+// `replies`. Replies to comments that are not in the list are left out.
+const buildThreads = comments => {
+  const byId = new Map(
+    comments.map(comment => [comment._id.toString(), { ...comment.toObject(), replies: [] }])
+  );
+  const threads = [];
+
+  byId.forEach(comment => {
+    if (!comment.parent) {
+      threads.push(comment);
+      return;
+    }
+
+    const parent = byId.get(comment.parent.toString());
+    if (parent) parent.replies.push(comment);
+  });
+
+  return threads;
+};
+
+// Public blog the comments belong to; drafts only exist for editors
+const findCommentableBlog = async (req, next) => {
+  const blog = await Blog.findById(req.params.blogId);
+
+  if (!blog || (!blog.isPublic && !can(req, 'blogs:edit-any'))) {
+    next(new ErrorResponse(`Blog not found with id of ${req.params.blogId}`, 404));
+    return null;
+  }
+
+  return blog;
+};
+
+// @desc    Get approved comments for a blog, threaded
+// @route   GET /api/blogs/:blogId/comments
+// @access  Public
+exports.getBlogComments = asyncHandler(async (req, res, next) => {
+  const blog = await findCommentableBlog(req, next);
+  if (!blog) return;
+
+  const comments = await Comment.find({ blog: blog._id, status: 'approved' })
+    .select('-spamScore -spamReasons -moderatedBy -moderatedAt -__v')
+    .sort('createdAt');
+
+  res.status(200).json({
+    success: true,
+    count: comments.length,
+    data: buildThreads(comments)
+  });
+});
+
+// @desc    Add comment (or reply) to a blog
+// @route   POST /api/blogs/:blogId/comments
+// @access  Public
+exports.addComment = asyncHandler(async (req, res, next) => {
+  const blog = await findCommentableBlog(req, next);
+  if (!blog) return;
+
+  const { content, parent, name, email, website } = req.body;
+
+  if (parent) {
+    const parentComment = await Comment.findOne({
+      _id: parent,
+      blog: blog._id,
+      status: 'approved'
+    });
+
+    if (!parentComment) {
+      return next(new ErrorResponse(`Comment not found with id of ${parent}`, 404));
+    }
+  }
+
+  const comment = new Comment({
+    blog: blog._id,
+    parent: parent || null,
+    content,
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  if (req.user?.constructor.modelName === 'Admin') {
+    comment.set({
+      authorName: process.env.COMMENT_ADMIN_NAME || 'Coyolia Team',
+      authorEmail: req.user.email
+    });
+
+    // Replies from moderators need no moderation
+    if (can(req, 'comments:moderate')) {
+      comment.set({ status: 'approved', moderatedBy: req.user._id, moderatedAt: Date.now() });
+    }
+  } else if (req.user) {
+    comment.set({ user: req.user._id, authorName: req.user.name, authorEmail: req.user.email });
+  } else {
+    comment.set({ authorName: name, authorEmail: email });
+  }
+
+  if (comment.status !== 'approved') {
+    const { score, reasons, isSpam } = await checkSpam({
+      content: String(content),
+      authorName: comment.authorName,
+      authorEmail: comment.authorEmail,
+      ip: comment.ip,
+      honeypot: website
+    });
+
+    comment.set({ spamScore: score, spamReasons: reasons, status: isSpam ? 'spam' : 'pending' });
+  }
+
+  await comment.save();
+
+  if (comment.status === 'approved') {
+    await Comment.syncCount(blog._id);
+  }
+
+  // Spam is stored for review but looks like any other pending comment
+  res.status(201).json({
+    success: true,
+    message:
+      comment.status === 'approved'
+        ? 'Comment published'
+        : 'Thanks! Your comment will appear once it has been approved',
+    data: {
+      _id: comment._id,
+      parent: comment.parent,
+      authorName: comment.authorName,
+      content: comment.content,
+      status: comment.status === 'spam' ? 'pending' : comment.status,
+      createdAt: comment.createdAt
+    }
+  });
+});
+
+// @desc    Get comments for moderation
+// @route   GET /api/comments?status=pending
+// @access  Private/Admin
+exports.getComments = asyncHandler(async (req, res, next) => {
+  res.status(200).json(res.advancedResults);
+});
+
+// @desc    Approve, reject or mark a comment as spam
+// @route   PUT /api/comments/:id/approve|reject|spam
+// @access  Private/Admin
+exports.moderateComment = status =>
+  asyncHandler(async (req, res, next) => {
+    const comment = await Comment.findById(req.params.id);
+
+    if (!comment) {
+      return next(new ErrorResponse(`Comment not found with id of ${req.params.id}`, 404));
+    }
+
+    comment.set({ status, moderatedBy: req.user._id, moderatedAt: Date.now() });
+    await comment.save();
+    await Comment.syncCount(comment.blog);
+
+    res.status(200).json({ success: true, data: comment });
+  });
+
+// @desc    Delete comment and its replies
+// @route   DELETE /api/comments/:id
+// @access  Private/Admin
+exports.deleteComment = asyncHandler(async (req, res, next) => {
+  const comment = await Comment.findById(req.params.id);
+
+  if (!comment) {
+    return next(new ErrorResponse(`Comment not found with id of ${req.params.id}`, 404));
+  }
+
+  // Gather the whole thread below this comment
+  const ids = [comment._id];
+  let frontier = [comment._id];
+
+  while (frontier.length) {
+    const replies = await Comment.find({ parent: { $in: frontier } }).select('_id');
+    frontier = replies.map(reply => reply._id);
+    ids.push(...frontier);
+  }
+
+  await Comment.deleteMany({ _id: { $in: ids } });
+  await Comment.syncCount(comment.blog);
+
+  res.status(200).json({ success: true, data: {} });
+});
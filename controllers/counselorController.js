@@ -0,0 +1,339 @@
+const Counselor = require('../models/Counselor');
+const Appointment = require('../models/Appointment');
+const ScheduleDay = require('../models/ScheduleDay');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const {
+  APPOINTMENT_DURATIONS,
+  getAppointmentWindow,
+  getDateKey,
+  getOpenSlots,
+  getZonedNow,
+  isValidDateKey,
+  toTimeString
+} = require('../utils/availability');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest range a single slot search may cover
+const MAX_SLOT_RANGE_DAYS = 31;
+
+const PROFILE_FIELDS = [
+  'user',
+  'name',
+  'email',
+  'bio',
+  'specialties',
+  'photo',
+  'timeZone',
+  'isActive'
+];
+
+const pickFields = (body, fields) =>
+  fields.reduce((picked, field) => {
+    if (body[field] !== undefined) {
+      picked[field] = body[field];
+    }
+    return picked;
+  }, {});
+
+const findCounselor = async (id, next) => {
+  const counselor = await Counselor.findById(id);
+
+  if (!counselor) {
+    next(new ErrorResponse(`Counselor not found with id of ${id}`, 404));
+    return null;
+  }
+
+  return counselor;
+};
+
+// The linked login account has to exist before a counselor points at it.
+// Resolves to false once an error has been passed on.
+const checkUser = async (userId, next) => {
+  if (!userId) return true;
+
+  if (!(await User.exists({ _id: userId }))) {
+    next(new ErrorResponse(`User not found with id of ${userId}`, 404));
+    return false;
+  }
+
+  return true;
+};
+
+// Once a counselor is saved, give its linked login account the counselor
+// role so it can manage the counselor's appointments, and hand an account
+// that was unlinked its client role back. Only accounts on those default
+// roles change; custom roles are left to whoever has roles:manage.
+const syncLinkedRole = async (previousUserId, userId) => {
+  if (String(previousUserId || '') === String(userId || '')) return;
+
+  if (previousUserId) {
+    await User.updateOne({ _id: previousUserId, role: 'counselor' }, { role: 'client' });
+  }
+  if (userId) {
+    await User.updateOne({ _id: userId, role: 'client' }, { role: 'counselor' });
+  }
+};
+
+// @desc    Get all active counselors
+// @route   GET /api/counselors
+// @access  Public
+exports.getCounselors = asyncHandler(async (req, res, next) => {
+  res.status(200).json(res.advancedResults);
+});
+
+// @desc    Get single counselor
+// @route   GET /api/counselors/:id
+// @access  Public
+exports.getCounselor = asyncHandler(async (req, res, next) => {
+  const counselor = await Counselor.findOne({ _id: req.params.id, isActive: true }).select(
+    Counselor.PUBLIC_FIELDS.join(' ')
+  );
+
+  if (!counselor) {
+    return next(
+      new ErrorResponse(`Counselor not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  res.status(200).json({ success: true, data: counselor });
+});
+
+// @desc    Create counselor
+// @route   POST /api/counselors
+// @access  Private/Admin
+exports.createCounselor = asyncHandler(async (req, res, next) => {
+  if (!(await checkUser(req.body.user, next))) return;
+
+  const counselor = await Counselor.create({
+    ...pickFields(req.body, PROFILE_FIELDS),
+    ...pickFields(req.body, ['weeklyAvailability', 'exceptions'])
+  });
+  await syncLinkedRole(null, counselor.user);
+
+  res.status(201).json({ success: true, data: counselor });
+});
+
+// @desc    Update counselor profile
+// @route   PUT /api/counselors/:id
+// @access  Private/Admin
+exports.updateCounselor = asyncHandler(async (req, res, next) => {
+  const counselor = await findCounselor(req.params.id, next);
+  if (!counselor) return;
+
+  if (!(await checkUser(req.body.user, next))) return;
+
+  const previousUserId = counselor.user;
+
+  counselor.set(pickFields(req.body, PROFILE_FIELDS));
+  // null unlinks the account; the field is dropped rather than stored as
+  // null, which the unique index would only allow once
+  if (req.body.user === null) counselor.user = undefined;
+  await counselor.save();
+  await syncLinkedRole(previousUserId, counselor.user);
+
+  res.status(200).json({ success: true, data: counselor });
+});
+
+// @desc    Delete a counselor with no pending or confirmed appointments
+// @route   DELETE /api/counselors/:id
+// @access  Private/Admin
+exports.deleteCounselor = asyncHandler(async (req, res, next) => {
+  const counselor = await findCounselor(req.params.id, next);
+  if (!counselor) return;
+
+  // Their bookings, reservations and reminders would be left pointing at
+  // nothing; set isActive to false to stop new bookings instead
+  const count = await Appointment.countDocuments({
+    counselor: counselor._id,
+    status: { $in: Appointment.ACTIVE_STATUSES }
+  });
+
+  if (count) {
+    return next(
+      new ErrorResponse(
+        `Counselor still has ${count} pending or confirmed appointment${count === 1 ? '' : 's'}`,
+        409,
+        { code: 'COUNSELOR_HAS_APPOINTMENTS', details: { count } }
+      )
+    );
+  }
+
+  await counselor.deleteOne();
+  await ScheduleDay.deleteMany({ counselor: counselor._id });
+  await syncLinkedRole(counselor.user, null);
+
+  res.status(200).json({ success: true, data: {} });
+});
+
+// @desc    Get counselor availability
+// @route   GET /api/counselors/:id/availability
+// @access  Public
+exports.getAvailability = asyncHandler(async (req, res, next) => {
+  const counselor = await Counselor.findById(req.params.id).select(
+    'timeZone weeklyAvailability exceptions isActive'
+  );
+
+  if (!counselor || !counselor.isActive) {
+    return next(
+      new ErrorResponse(`Counselor not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      timeZone: counselor.timeZone,
+      weeklyAvailability: counselor.weeklyAvailability,
+      exceptions: counselor.exceptions
+    }
+  });
+});
+
+// @desc    Replace weekly availability
+// @route   PUT /api/counselors/:id/availability
+// @access  Private/Admin
+exports.updateAvailability = asyncHandler(async (req, res, next) => {
+  const counselor = await findCounselor(req.params.id, next);
+  if (!counselor) return;
+
+  counselor.weeklyAvailability = req.body.weeklyAvailability;
+  await counselor.save();
+
+  res.status(200).json({ success: true, data: counselor.weeklyAvailability });
+});
+
+// @desc    Add availability exception
+// @route   POST /api/counselors/:id/exceptions
+// @access  Private/Admin
+exports.addException = asyncHandler(async (req, res, next) => {
+  const counselor = await findCounselor(req.params.id, next);
+  if (!counselor) return;
+
+  counselor.exceptions.push(
+    pickFields(req.body, [
+      'startDate',
+      'endDate',
+      'startTime',
+      'endTime',
+      'isAvailable',
+      'reason'
+    ])
+  );
+  await counselor.save();
+
+  res.status(201).json({
+    success: true,
+    data: counselor.exceptions[counselor.exceptions.length - 1]
+  });
+});
+
+// @desc    Remove availability exception
+// @route   DELETE /api/counselors/:id/exceptions/:exceptionId
+// @access  Private/Admin
+exports.deleteException = asyncHandler(async (req, res, next) => {
+  const counselor = await findCounselor(req.params.id, next);
+  if (!counselor) return;
+
+  const exception = counselor.exceptions.id(req.params.exceptionId);
+
+  if (!exception) {
+    return next(
+      new ErrorResponse(
+        `Exception not found with id of ${req.params.exceptionId}`,
+        404
+      )
+    );
+  }
+
+  exception.deleteOne();
+  await counselor.save();
+
+  res.status(200).json({ success: true, data: {} });
+});
+
+// @desc    Get bookable slots for a counselor
+// @route   GET /api/counselors/:id/slots?from=YYYY-MM-DD&to=YYYY-MM-DD&type=15min|1hour
+// @access  Public
+exports.getSlots = asyncHandler(async (req, res, next) => {
+  const type = req.query.type || '15min';
+  const duration = APPOINTMENT_DURATIONS[type];
+
+  const counselor = await Counselor.findById(req.params.id);
+
+  if (!counselor || !counselor.isActive) {
+    return next(
+      new ErrorResponse(`Counselor not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  const now = getZonedNow(counselor.timeZone);
+  const from = req.query.from || now.dateKey;
+
+  // Checked before `to` is worked out from it
+  if (!isValidDateKey(from)) {
+    return next(new ErrorResponse('Dates must be formatted as YYYY-MM-DD', 400));
+  }
+
+  const to = req.query.to || getDateKey(new Date(from).getTime() + 6 * DAY_MS);
+
+  if (!isValidDateKey(to)) {
+    return next(new ErrorResponse('Dates must be formatted as YYYY-MM-DD', 400));
+  }
+
+  const rangeDays = (new Date(to) - new Date(from)) / DAY_MS + 1;
+
+  if (rangeDays < 1 || rangeDays > MAX_SLOT_RANGE_DAYS) {
+    return next(
+      new ErrorResponse(
+        `The date range must cover between 1 and ${MAX_SLOT_RANGE_DAYS} days`,
+        400
+      )
+    );
+  }
+
+  // Everything still holding the counselor's time, whatever its length
+  const appointments = await Appointment.find({
+    counselor: counselor._id,
+    date: { $gte: new Date(from), $lte: new Date(to) },
+    status: { $ne: 'cancelled' }
+  }).select('date time type');
+
+  const bookedByDay = appointments.reduce((acc, appointment) => {
+    const dateKey = getDateKey(appointment.date);
+    (acc[dateKey] = acc[dateKey] || []).push(getAppointmentWindow(appointment));
+    return acc;
+  }, {});
+
+  const days = [];
+
+  for (let i = 0; i < rangeDays; i++) {
+    const date = getDateKey(new Date(from).getTime() + i * DAY_MS);
+
+    // Nothing in the past can be booked
+    if (date < now.dateKey) {
+      continue;
+    }
+
+    let slots = getOpenSlots(counselor, date, duration, bookedByDay[date]);
+
+    if (date === now.dateKey) {
+      slots = slots.filter(slot => slot > toTimeString(now.minutes));
+    }
+
+    days.push({ date, slots });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      counselor: counselor._id,
+      type,
+      duration,
+      timeZone: counselor.timeZone,
+      days
+    }
+  });
+});
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const Blog = require('../models/Blog');
+const asyncHandler = require('../middleware/async');
+const { escapeXml } = require('../utils/xml');
+
+// Most recent posts included in a feed
+const FEED_SIZE = 50;
+
+const getSiteUrl = () => (process.env.SITE_URL || 'https://coyolia.com').replace(/\/$/, '');
+const getBlogUrl = () => `${getSiteUrl()}${process.env.BLOG_PATH || '/blog'}`;
+const getPostUrl = blog => `${getBlogUrl()}/${blog.slug}`;
+
+const getPublishedDate = blog => blog.publishedAt || blog.createdAt;
+const getModifiedDate = blog => blog.updatedAt || getPublishedDate(blog);
+
+// Library cover image, falling back to one uploaded straight onto the post.
+// Locally stored images have site-relative URLs.
+const getCover = blog => {
+  const image = blog.coverImage?.url ? blog.coverImage : blog.image;
+  if (!image?.url) return null;
+
+  return {
+    url: new URL(image.url, `${getSiteUrl()}/`).href,
+    type: `image/${image.format || 'jpeg'}`
+  };
+};
+
+const findFeedPosts = (filter = {}, limit = FEED_SIZE) => {
+  let query = Blog.find({ ...Blog.publicFilter(), slug: { $ne: null }, ...filter })
+    .select('title slug excerpt tags image coverImage publishedAt createdAt updatedAt')
+    .populate('coverImage', 'url format')
+    .sort('-publishedAt -createdAt');
+
+  if (limit) query = query.limit(limit);
+  return query;
+};
+
+// Send an XML document with validators so readers and crawlers can ask
+// "has it changed?" and get a 304 back (Express compares them to the
+// request's If-None-Match / If-Modified-Since)
+const sendXml = (res, contentType, xml, lastModified) => {
+  const etag = `"${crypto.createHash('sha1').update(xml).digest('base64url')}"`;
+
+  res.set({
+    'Content-Type': `${contentType}; charset=utf-8`,
+    'Cache-Control': 'public, max-age=900',
+    ETag: etag
+  });
+
+  if (lastModified) {
+    res.set('Last-Modified', new Date(lastModified).toUTCString());
+  }
+
+  if (res.req.fresh) {
+    return res.status(304).end();
+  }
+
+  res.status(200).send(xml);
+};
+
+const latestDate = posts =>
+  posts.reduce((latest, blog) => {
+    const modified = new Date(getModifiedDate(blog));
+    return modified > latest ? modified : latest;
+  }, new Date(0));
+
+const feedTitle = tag => `Coyolia Blog${tag ? ` - ${tag}` : ''}`;
+
+// @desc    RSS 2.0 feed of published blogs
+// @route   GET /api/blogs/feed.rss?tag=
+// @access  Public
+exports.getRssFeed = asyncHandler(async (req, res, next) => {
+  const tag = req.query.tag;
+  const posts = await findFeedPosts(tag ? { tags: tag } : {});
+  const updated = latestDate(posts);
+  const selfUrl = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+
+  const items = posts
+    .map(blog => {
+      const url = getPostUrl(blog);
+      const cover = getCover(blog);
+      return [
+        '    <item>',
+        `      <title>${escapeXml(blog.title)}</title>`,
+        `      <link>${escapeXml(url)}</link>`,
+        `      <guid isPermaLink="false">${escapeXml(`blog-${blog._id}`)}</guid>`,
+        `      <pubDate>${new Date(getPublishedDate(blog)).toUTCString()}</pubDate>`,
+        blog.excerpt && `      <description>${escapeXml(blog.excerpt)}</description>`,
+        ...(blog.tags || []).map(t => `      <category>${escapeXml(t)}</category>`),
+        cover &&
+          `      <enclosure url="${escapeXml(cover.url)}" type="${cover.type}" length="0" />`,
+        '    </item>'
+      ]
+        .filter(Boolean)
+        .join('\n');
+    })
+    .join('\n');
+
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeXml(feedTitle(tag))}</title>`,
+    `    <link>${escapeXml(getBlogUrl())}</link>`,
+    '    <description>Career counseling articles from Coyolia</description>',
+    '    <language>en</language>',
+    `    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml" />`,
+    posts.length && `    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>`,
+    items,
+    '  </channel>',
+    '</rss>',
+    ''
+  ]
+    .filter(Boolean)
+    .join('\n');
+
+  sendXml(res, 'application/rss+xml', xml, posts.length && updated);
+});
+
+// @desc    Atom feed of published blogs
+// @route   GET /api/blogs/feed.atom?tag=
+// @access  Public
+exports.getAtomFeed = asyncHandler(async (req, res, next) => {
+  const tag = req.query.tag;
+  const posts = await findFeedPosts(tag ? { tags: tag } : {});
+  const updated = posts.length ? latestDate(posts) : new Date(0);
+  const selfUrl = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+
+  const entries = posts
+    .map(blog => {
+      const url = getPostUrl(blog);
+      const cover = getCover(blog);
+      return [
+        '  <entry>',
+        `    <id>${escapeXml(`${getBlogUrl()}/posts/${blog._id}`)}</id>`,
+        `    <title>${escapeXml(blog.title)}</title>`,
+        `    <link rel="alternate" type="text/html" href="${escapeXml(url)}" />`,
+        `    <published>${new Date(getPublishedDate(blog)).toISOString()}</published>`,
+        `    <updated>${new Date(getModifiedDate(blog)).toISOString()}</updated>`,
+        blog.excerpt && `    <summary>${escapeXml(blog.excerpt)}</summary>`,
+        ...(blog.tags || []).map(t => `    <category term="${escapeXml(t)}" />`),
+        cover &&
+          `    <link rel="enclosure" type="${cover.type}" href="${escapeXml(cover.url)}" />`,
+        '  </entry>'
+      ]
+        .filter(Boolean)
+        .join('\n');
+    })
+    .join('\n');
+
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(selfUrl)}</id>`,
+    `  <title>${escapeXml(feedTitle(tag))}</title>`,
+    `  <updated>${updated.toISOString()}</updated>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}" />`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(getBlogUrl())}" />`,
+    '  <author><name>Coyolia</name></author>',
+    entries,
+    '</feed>',
+    ''
+  ]
+    .filter(Boolean)
+    .join('\n');
+
+  sendXml(res, 'application/atom+xml', xml, posts.length && updated);
+});
+
+// @desc    Sitemap of the blog and every published post
+// @route   GET /sitemap.xml
+// @access  Public
+exports.getSitemap = asyncHandler(async (req, res, next) => {
+  const posts = await findFeedPosts({}, 0);
+  const updated = latestDate(posts);
+
+  const urls = posts
+    .map(blog => {
+      const cover = getCover(blog);
+      return [
+        '  <url>',
+        `    <loc>${escapeXml(getPostUrl(blog))}</loc>`,
+        `    <lastmod>${new Date(getModifiedDate(blog)).toISOString()}</lastmod>`,
+        cover &&
+          `    <image:image><image:loc>${escapeXml(cover.url)}</image:loc></image:image>`,
+        '  </url>'
+      ]
+        .filter(Boolean)
+        .join('\n');
+    })
+    .join('\n');
+
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">',
+    '  <url>',
+    `    <loc>${escapeXml(getBlogUrl())}</loc>`,
+    posts.length && `    <lastmod>${updated.toISOString()}</lastmod>`,
+    '  </url>',
+    urls,
+    '</urlset>',
+    ''
+  ]
+    .filter(Boolean)
+    .join('\n');
+
+  sendXml(res, 'application/xml', xml, posts.length && updated);
+});
@@ -0,0 +1,224 @@
+const Media = require('../models/Media');
+const Blog = require('../models/Blog');
+const BlogRevision = require('../models/BlogRevision');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const { storeImage, removeImage } = require('../utils/storage');
+
+// Tags arrive as an array from JSON bodies and as "a,b,c" from forms
+const parseTags = tags =>
+  (Array.isArray(tags) ? tags : String(tags).split(','))
+    .map(tag => String(tag).trim())
+    .filter(Boolean);
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Blogs that still point at an asset, as cover or inline image, or whose
+// older revisions embed it and could be restored
+const findUsage = async media => {
+  const blogs = await Blog.find({ $or: [{ coverImage: media._id }, { media: media._id }] })
+    .select('title slug coverImage')
+    .lean();
+
+  const usage = blogs.map(blog => ({
+    _id: blog._id,
+    title: blog.title,
+    slug: blog.slug,
+    usedAs: blog.coverImage?.equals(media._id) ? 'cover' : 'inline'
+  }));
+
+  const urls = [media.url, ...media.variants.map(variant => variant.url)].filter(Boolean);
+  const revisions = await BlogRevision.find({
+    blog: { $nin: blogs.map(blog => blog._id) },
+    content: { $regex: urls.map(escapeRegExp).join('|') }
+  })
+    .select('blog version')
+    .populate('blog', 'title slug')
+    .lean();
+
+  const byBlog = new Map();
+
+  for (const revision of revisions) {
+    if (!revision.blog) continue;
+
+    const key = String(revision.blog._id);
+
+    if (!byBlog.has(key)) {
+      byBlog.set(key, {
+        _id: revision.blog._id,
+        title: revision.blog.title,
+        slug: revision.blog.slug,
+        usedAs: 'revision',
+        versions: []
+      });
+    }
+    byBlog.get(key).versions.push(revision.version);
+  }
+
+  return usage.concat([...byBlog.values()]);
+};
+
+const inUseError = usage =>
+  new ErrorResponse(
+    `Media is still used by ${usage.length} blog${usage.length === 1 ? '' : 's'}`,
+    409,
+    { code: 'MEDIA_IN_USE', details: { usage } }
+  );
+
+const findMedia = async (req, next) => {
+  const media = await Media.findById(req.params.id);
+
+  if (!media) {
+    next(new ErrorResponse(`Media not found with id of ${req.params.id}`, 404));
+    return null;
+  }
+
+  return media;
+};
+
+// @desc    Get media library
+// @route   GET /api/media
+// @access  Private/Admin
+exports.getMediaList = asyncHandler(async (req, res, next) => {
+  res.status(200).json(res.advancedResults);
+});
+
+// @desc    Get tags used in the media library, with counts
+// @route   GET /api/media/tags
+// @access  Private/Admin
+exports.getMediaTags = asyncHandler(async (req, res, next) => {
+  const tags = await Media.aggregate([
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } }
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: tags.length,
+    data: tags.map(({ _id, count }) => ({ tag: _id, count }))
+  });
+});
+
+// @desc    Get single media asset
+// @route   GET /api/media/:id
+// @access  Private/Admin
+exports.getMedia = asyncHandler(async (req, res, next) => {
+  const media = await findMedia(req, next);
+  if (!media) return;
+
+  res.status(200).json({
+    success: true,
+    data: media
+  });
+});
+
+// @desc    Get blogs using a media asset
+// @route   GET /api/media/:id/usage
+// @access  Private/Admin
+exports.getMediaUsage = asyncHandler(async (req, res, next) => {
+  const media = await findMedia(req, next);
+  if (!media) return;
+
+  const usage = await findUsage(media);
+
+  res.status(200).json({
+    success: true,
+    count: usage.length,
+    data: usage
+  });
+});
+
+// @desc    Upload media asset
+// @route   POST /api/media
+// @access  Private/Admin
+exports.uploadMedia = asyncHandler(async (req, res, next) => {
+  if (!req.file) {
+    return next(new ErrorResponse('Please upload an image file', 400));
+  }
+
+  let image;
+
+  try {
+    image = await storeImage(req.file.buffer, { folder: 'media' });
+  } catch (err) {
+    if (err.statusCode === 400) {
+      return next(new ErrorResponse('Please upload an image file (JPEG, PNG, GIF or WebP)', 400));
+    }
+    throw err;
+  }
+
+  try {
+    const media = await Media.create({
+      ...image,
+      filename: req.file.originalname,
+      size: req.file.size,
+      alt: req.body.alt,
+      caption: req.body.caption,
+      tags: req.body.tags ? parseTags(req.body.tags) : [],
+      uploadedBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: media
+    });
+  } catch (err) {
+    // Nothing references the files yet
+    await removeImage(image);
+    throw err;
+  }
+});
+
+// @desc    Update alt text, caption and tags of a media asset
+// @route   PUT /api/media/:id
+// @access  Private/Admin
+exports.updateMedia = asyncHandler(async (req, res, next) => {
+  const media = await findMedia(req, next);
+  if (!media) return;
+
+  const { alt, caption, tags } = req.body;
+
+  if (alt !== undefined) media.alt = alt;
+  if (caption !== undefined) media.caption = caption;
+  if (tags !== undefined) media.tags = parseTags(tags);
+
+  await media.save();
+
+  res.status(200).json({
+    success: true,
+    data: media
+  });
+});
+
+// @desc    Delete media asset that no blog or revision uses
+// @route   DELETE /api/media/:id
+// @access  Private/Admin
+exports.deleteMedia = asyncHandler(async (req, res, next) => {
+  const media = await findMedia(req, next);
+  if (!media) return;
+
+  const usage = await findUsage(media);
+
+  if (usage.length) {
+    return next(inUseError(usage));
+  }
+
+  await media.deleteOne();
+
+  // A post saved between the check and the delete may have linked the asset;
+  // once the record is gone no new save can, so checking again settles it
+  const lateUsage = await findUsage(media);
+
+  if (lateUsage.length) {
+    await Media.create(media.toObject());
+    return next(inUseError(lateUsage));
+  }
+
+  await removeImage(media);
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
@@ -0,0 +1,225 @@
+const Admin = require('../models/Admin');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const { clearRoleCache } = require('../utils/permissions');
+const { PERMISSIONS, ALL_PERMISSIONS, SUPER_ADMIN } = require('../config/permissions');
+
+// Shared loader for the /:id routes
+const findRole = async (req, next) => {
+  const role = await Role.findById(req.params.id);
+
+  if (!role) {
+    next(new ErrorResponse(`Role not found with id of ${req.params.id}`, 404));
+    return null;
+  }
+
+  return role;
+};
+
+const getAccountModel = role => (role.accountModel === 'Admin' ? Admin : User);
+
+const managesRoles = role =>
+  role.name === SUPER_ADMIN ||
+  role.permissions.includes(ALL_PERMISSIONS) ||
+  role.permissions.includes('roles:manage');
+
+// Whether some staff account could still manage roles after a change:
+// `changed` is a role as it would be saved, `removed` the name of a role
+// about to be deleted, `account` a staff account about to get another role
+const keepsRoleManager = async ({ changed, removed, account } = {}) => {
+  const roles = await Role.find({ accountModel: 'Admin' }).select('name permissions').lean();
+
+  const managing = roles
+    .filter(role => role.name !== removed)
+    .map(role => (changed && role.name === changed.name ? changed : role))
+    .filter(managesRoles)
+    .map(role => role.name);
+
+  return Boolean(
+    await Admin.exists({
+      role: { $in: managing },
+      ...(account && { _id: { $ne: account._id } })
+    })
+  );
+};
+
+const noRoleManagerError = () =>
+  new ErrorResponse('This change would leave no staff account able to manage roles', 409, {
+    code: 'NO_ROLE_MANAGER'
+  });
+
+// @desc    List every permission a role can have
+// @route   GET /api/v1/roles/permissions
+// @access  Private/Admin
+exports.getPermissionList = asyncHandler(async (req, res, next) => {
+  res.status(200).json({
+    success: true,
+    data: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+  });
+});
+
+// @desc    Get all roles
+// @route   GET /api/v1/roles
+// @access  Private/Admin
+exports.getRoles = asyncHandler(async (req, res, next) => {
+  const roles = await Role.find().select('-__v').sort('accountModel name');
+
+  res.status(200).json({
+    success: true,
+    count: roles.length,
+    data: roles
+  });
+});
+
+// @desc    Get single role
+// @route   GET /api/v1/roles/:id
+// @access  Private/Admin
+exports.getRole = asyncHandler(async (req, res, next) => {
+  const role = await findRole(req, next);
+  if (!role) return;
+
+  res.status(200).json({
+    success: true,
+    data: role
+  });
+});
+
+// @desc    Create role
+// @route   POST /api/v1/roles
+// @access  Private/Admin
+exports.createRole = asyncHandler(async (req, res, next) => {
+  const role = await Role.create(req.body);
+  clearRoleCache();
+
+  res.status(201).json({
+    success: true,
+    data: role
+  });
+});
+
+// @desc    Update a role's description and permissions
+// @route   PUT /api/v1/roles/:id
+// @access  Private/Admin
+exports.updateRole = asyncHandler(async (req, res, next) => {
+  const role = await findRole(req, next);
+  if (!role) return;
+
+  if (role.name === SUPER_ADMIN) {
+    return next(new ErrorResponse('The super-admin role cannot be changed', 403));
+  }
+
+  role.set(req.body);
+
+  if (
+    role.accountModel === 'Admin' &&
+    !managesRoles(role) &&
+    !(await keepsRoleManager({ changed: role }))
+  ) {
+    return next(noRoleManagerError());
+  }
+
+  await role.save();
+  clearRoleCache();
+
+  res.status(200).json({
+    success: true,
+    data: role
+  });
+});
+
+// @desc    Delete a role no account has
+// @route   DELETE /api/v1/roles/:id
+// @access  Private/Admin
+exports.deleteRole = asyncHandler(async (req, res, next) => {
+  const role = await findRole(req, next);
+  if (!role) return;
+
+  if (role.builtIn) {
+    return next(new ErrorResponse('Built-in roles cannot be deleted', 400));
+  }
+
+  const count = await getAccountModel(role).countDocuments({ role: role.name });
+
+  if (count) {
+    return next(
+      new ErrorResponse(
+        `Role is still assigned to ${count} account${count === 1 ? '' : 's'}`,
+        409,
+        { code: 'ROLE_IN_USE', details: { count } }
+      )
+    );
+  }
+
+  if (role.accountModel === 'Admin' && !(await keepsRoleManager({ removed: role.name }))) {
+    return next(noRoleManagerError());
+  }
+
+  await role.deleteOne();
+  clearRoleCache();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Give an account a role
+// @route   PUT /api/v1/roles/assign
+// @access  Private/Admin
+exports.assignRole = asyncHandler(async (req, res, next) => {
+  const { email, accountType, role: roleName } = req.body;
+  const Model = accountType === 'admin' ? Admin : User;
+
+  const role = await Role.findOne({ name: roleName });
+
+  if (!role) {
+    return next(new ErrorResponse(`No role named ${roleName}`, 404));
+  }
+
+  if (role.accountModel !== Model.modelName) {
+    return next(
+      new ErrorResponse(
+        `Role ${role.name} is for ${role.accountModel === 'Admin' ? 'staff' : 'client'} accounts`,
+        400
+      )
+    );
+  }
+
+  const account = await Model.findOne({ email });
+
+  if (!account) {
+    return next(new ErrorResponse(`No ${accountType} found with email ${email}`, 404));
+  }
+
+  // Nobody can lock themselves out, or make themselves super-admin
+  if (account._id.equals(req.user._id)) {
+    return next(new ErrorResponse('You cannot change your own role', 403));
+  }
+
+  if (
+    (role.name === SUPER_ADMIN || account.role === SUPER_ADMIN) &&
+    req.user.role !== SUPER_ADMIN
+  ) {
+    return next(
+      new ErrorResponse('Only a super-admin can give or take away the super-admin role', 403)
+    );
+  }
+
+  if (
+    Model === Admin &&
+    !managesRoles(role) &&
+    !(await keepsRoleManager({ account }))
+  ) {
+    return next(noRoleManagerError());
+  }
+
+  account.role = role.name;
+  await account.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: account
+  });
+});
@@ -0,0 +1,56 @@
+const Session = require('../models/Session');
+const asyncHandler = require('../middleware/async');
+const {
+  getRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeSession,
+  clearAuthCookies
+} = require('../utils/sessions');
+
+// Shared by the admin (/api/v1/auth) and user (/api/v1/users) routers; the
+// session knows which kind of account it belongs to.
+
+// @desc    Swap a refresh token for new access and refresh tokens
+// @route   POST /api/v1/auth/refresh
+// @route   POST /api/v1/users/refresh
+// @access  Public (refresh token in cookie or body)
+exports.refreshToken = asyncHandler(async (req, res, next) => {
+  await rotateRefreshToken(getRefreshToken(req), req, res);
+});
+
+// @desc    Log out this device
+// @route   POST /api/v1/auth/logout
+// @route   POST /api/v1/users/logout
+// @access  Public (access or refresh token)
+exports.logout = asyncHandler(async (req, res, next) => {
+  // The access token may already have expired, the refresh token still
+  // identifies the session then
+  if (req.sessionId) {
+    await revokeSession(req.sessionId, 'logout');
+  } else {
+    await revokeRefreshToken(getRefreshToken(req), 'logout');
+  }
+
+  clearAuthCookies(res);
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Log out every device
+// @route   POST /api/v1/auth/logout-all
+// @route   POST /api/v1/users/logout-all
+// @access  Private
+exports.logoutAll = asyncHandler(async (req, res, next) => {
+  await Session.revokeAll(req.user, 'logout-all');
+
+  clearAuthCookies(res);
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
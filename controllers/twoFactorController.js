@@ -0,0 +1,214 @@
+const Admin = require('../models/Admin');
+const Session = require('../models/Session');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const { sendTokenResponse } = require('../utils/sessions');
+const { authenticateSecondFactor } = require('../utils/loginGuard');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+const {
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  isTwoFactorRequired,
+  verifySecondFactor,
+  verifyPendingLogin
+} = require('../utils/twoFactor');
+
+const invalidCode = () =>
+  new ErrorResponse('Invalid two-factor code', 401, { code: 'INVALID_TWO_FACTOR_CODE' });
+
+// Password plus a current code or recovery code, for changes that weaken
+// or replace the second factor
+const reauthenticate = async (req, next) => {
+  const admin = await Admin.findById(req.user.id).select('+password');
+
+  if (!(await admin.matchPassword(req.body.password))) {
+    next(new ErrorResponse('Password is incorrect', 401));
+    return null;
+  }
+
+  if (!(await verifySecondFactor(admin, req.body))) {
+    next(invalidCode());
+    return null;
+  }
+
+  return admin;
+};
+
+// @desc    Finish logging in with an authenticator or recovery code
+// @route   POST /api/v1/auth/login/2fa
+// @access  Public (two-factor token from login)
+exports.loginTwoFactor = asyncHandler(async (req, res, next) => {
+  const adminId = verifyPendingLogin(req.body.twoFactorToken);
+  const admin = adminId && (await Admin.findById(adminId));
+
+  if (!admin?.twoFactor?.enabled) {
+    return next(
+      new ErrorResponse('Login has expired, please log in again', 401, {
+        code: 'TWO_FACTOR_TOKEN_INVALID'
+      })
+    );
+  }
+
+  // Throws on a wrong code, and while throttled or locked out
+  await authenticateSecondFactor(admin, req, () => verifySecondFactor(admin, req.body));
+
+  await sendTokenResponse(admin, 200, req, res, { twoFactorVerified: true });
+});
+
+// @desc    Start two-factor setup: new secret and provisioning URI
+// @route   POST /api/v1/auth/2fa/setup
+// @access  Private
+exports.setupTwoFactor = asyncHandler(async (req, res, next) => {
+  const admin = await Admin.findById(req.user.id);
+
+  if (admin.twoFactor?.enabled) {
+    return next(
+      new ErrorResponse('Two-factor authentication is already enabled', 400, {
+        code: 'TWO_FACTOR_ALREADY_ENABLED'
+      })
+    );
+  }
+
+  const secret = generateSecret();
+  await Admin.updateOne(
+    { _id: admin._id },
+    { 'twoFactor.pendingSecret': encryptSecret(secret) }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      secret,
+      // Render as a QR code for authenticator apps to scan
+      otpauthUri: buildOtpauthUri({
+        secret,
+        accountName: admin.email,
+        issuer: process.env.TWO_FACTOR_ISSUER || 'Coyolia'
+      })
+    }
+  });
+});
+
+// @desc    Confirm setup with a code and turn two-factor on
+// @route   POST /api/v1/auth/2fa/enable
+// @access  Private
+exports.enableTwoFactor = asyncHandler(async (req, res, next) => {
+  const admin = await Admin.findById(req.user.id).select('+twoFactor.pendingSecret');
+
+  if (admin.twoFactor?.enabled) {
+    return next(
+      new ErrorResponse('Two-factor authentication is already enabled', 400, {
+        code: 'TWO_FACTOR_ALREADY_ENABLED'
+      })
+    );
+  }
+
+  if (!admin.twoFactor?.pendingSecret) {
+    return next(
+      new ErrorResponse('Start two-factor setup first', 400, {
+        code: 'TWO_FACTOR_NOT_SET_UP'
+      })
+    );
+  }
+
+  const secret = decryptSecret(admin.twoFactor.pendingSecret);
+  const step = verifyCode(secret, req.body.code);
+
+  if (step === null) {
+    return next(invalidCode());
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await Admin.updateOne(
+    { _id: admin._id },
+    {
+      'twoFactor.enabled': true,
+      'twoFactor.secret': admin.twoFactor.pendingSecret,
+      'twoFactor.recoveryCodes': hashes,
+      'twoFactor.lastUsedStep': step,
+      'twoFactor.enabledAt': Date.now(),
+      $unset: { 'twoFactor.pendingSecret': 1 }
+    }
+  );
+
+  // Other devices signed in with the password alone; this one has just
+  // shown a code
+  await Session.revokeAll(admin, 'two-factor-change', req.sessionId);
+  await Session.updateOne({ _id: req.sessionId }, { twoFactorVerified: true });
+
+  // Recovery codes are only ever shown here and when regenerated
+  res.status(200).json({
+    success: true,
+    data: { recoveryCodes: codes }
+  });
+});
+
+// @desc    Replace the recovery codes
+// @route   POST /api/v1/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = asyncHandler(async (req, res, next) => {
+  if (!req.user.twoFactor?.enabled) {
+    return next(
+      new ErrorResponse('Two-factor authentication is not enabled', 400, {
+        code: 'TWO_FACTOR_NOT_ENABLED'
+      })
+    );
+  }
+
+  const admin = await reauthenticate(req, next);
+  if (!admin) return;
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await Admin.updateOne({ _id: admin._id }, { 'twoFactor.recoveryCodes': hashes });
+
+  res.status(200).json({
+    success: true,
+    data: { recoveryCodes: codes }
+  });
+});
+
+// @desc    Turn two-factor off
+// @route   POST /api/v1/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = asyncHandler(async (req, res, next) => {
+  if (!req.user.twoFactor?.enabled) {
+    return next(
+      new ErrorResponse('Two-factor authentication is not enabled', 400, {
+        code: 'TWO_FACTOR_NOT_ENABLED'
+      })
+    );
+  }
+
+  if (isTwoFactorRequired()) {
+    return next(
+      new ErrorResponse('Two-factor authentication is required for admins', 403, {
+        code: 'TWO_FACTOR_REQUIRED'
+      })
+    );
+  }
+
+  const admin = await reauthenticate(req, next);
+  if (!admin) return;
+
+  await Admin.updateOne(
+    { _id: admin._id },
+    {
+      'twoFactor.enabled': false,
+      $unset: {
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.recoveryCodes': 1,
+        'twoFactor.lastUsedStep': 1,
+        'twoFactor.enabledAt': 1
+      }
+    }
+  );
+
+  await Session.revokeAll(admin, 'two-factor-change', req.sessionId);
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
@@ -0,0 +1,114 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const { sendTokenResponse } = require('../utils/sessions');
+const { authenticate } = require('../utils/loginGuard');
+const { sendEmailVerification, requestEmailChange } = require('../utils/accountTokens');
+
+// @desc    Register user
+// @route   POST /api/v1/users/register
+// @access  Public
+exports.register = asyncHandler(async (req, res, next) => {
+  const { name, email, phone, password } = req.body;
+
+  const existingUser = await User.findOne({ email: email.toLowerCase() });
+
+  if (existingUser) {
+    return next(new ErrorResponse('An account with that email already exists', 400));
+  }
+
+  const user = await User.create({ name, email, phone, password });
+
+  // The account works straight away; a failed email can be resent later
+  try {
+    await sendEmailVerification(user);
+  } catch (err) {
+    console.error('Error sending verification email:', err);
+  }
+
+  await sendTokenResponse(user, 201, req, res);
+});
+
+// @desc    Login user
+// @route   POST /api/v1/users/login
+// @access  Public
+exports.login = asyncHandler(async (req, res, next) => {
+  const { email, password } = req.body;
+
+  // Throws on bad credentials, and while throttled or locked out
+  const user = await authenticate(User, email, password, req);
+
+  await sendTokenResponse(user, 200, req, res);
+});
+
+// @desc    Get current logged in user
+// @route   GET /api/v1/users/me
+// @access  Private
+exports.getMe = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    return next(new ErrorResponse('User not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: user
+  });
+});
+
+// @desc    Update user details
+// @route   PUT /api/v1/users/updatedetails
+// @access  Private
+exports.updateDetails = asyncHandler(async (req, res, next) => {
+  const fieldsToUpdate = {};
+
+  // A new email only takes over once it has been verified
+  ['name', 'phone'].forEach(field => {
+    if (req.body[field] !== undefined) {
+      fieldsToUpdate[field] = req.body[field];
+    }
+  });
+
+  const user = await User.findByIdAndUpdate(req.user.id, fieldsToUpdate, {
+    new: true,
+    runValidators: true
+  });
+
+  if (!user) {
+    return next(new ErrorResponse('User not found', 404));
+  }
+
+  await requestEmailChange(user, req.body.email);
+
+  res.status(200).json({
+    success: true,
+    data: user
+  });
+});
+
+// @desc    Update password
+// @route   PUT /api/v1/users/updatepassword
+// @access  Private
+exports.updatePassword = asyncHandler(async (req, res, next) => {
+  const { currentPassword, newPassword } = req.body;
+
+  const user = await User.findById(req.user.id).select('+password');
+
+  if (!user) {
+    return next(new ErrorResponse('User not found', 404));
+  }
+
+  // Check current password
+  if (!(await user.matchPassword(currentPassword))) {
+    return next(new ErrorResponse('Password is incorrect', 401));
+  }
+
+  user.password = newPassword;
+  await user.save();
+
+  // Sign out every device, then start a new session for this one
+  await Session.revokeAll(user, 'password-change');
+  await sendTokenResponse(user, 200, req, res);
+});
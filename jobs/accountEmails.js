@@ -0,0 +1,27 @@
+// jobs/accountEmails.js
+const mongoose = require('mongoose');
+const jobQueue = require('../utils/jobQueue');
+const { sendPasswordReset } = require('../utils/accountTokens');
+
+const PASSWORD_RESET_JOB = 'password-reset-email';
+
+// Queue a reset email for the account with this email, if there is one.
+// The lookup happens in the job, so the request takes as long, and answers
+// the same, whether or not the account exists.
+const queuePasswordReset = (Model, email) =>
+  jobQueue.schedule(PASSWORD_RESET_JOB, { model: Model.modelName, email });
+
+jobQueue.registerHandler(PASSWORD_RESET_JOB, async job => {
+  const Model = mongoose.model(job.data.model);
+  const account = await Model.findOne({ email: job.data.email });
+
+  if (!account) {
+    return;
+  }
+
+  await sendPasswordReset(account);
+});
+
+module.exports = {
+  queuePasswordReset
+};
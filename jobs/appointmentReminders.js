@@ -0,0 +1,94 @@
+// jobs/appointmentReminders.js
+const Appointment = require('../models/Appointment');
+const Counselor = require('../models/Counselor');
+const sendEmail = require('../utils/emailService');
+const jobQueue = require('../utils/jobQueue');
+const { toInstant } = require('../utils/availability');
+const { getAppointmentEmails } = require('../utils/appointmentNotifications');
+
+const REMINDER_JOB = 'appointment-reminder';
+const HOUR_MS = 60 * 60 * 1000;
+
+// How long before the start reminders go out, e.g. "24,1"
+const getReminderOffsets = () =>
+  (process.env.REMINDER_OFFSETS_HOURS || '24,1')
+    .split(',')
+    .map(Number)
+    .filter(hours => hours > 0);
+
+const describeOffset = hours => {
+  if (hours < 1) return `in ${Math.round(hours * 60)} minutes`;
+  return hours === 1 ? 'in 1 hour' : `in ${hours} hours`;
+};
+
+const getStartsAt = async appointment => {
+  const counselor = await Counselor.findById(appointment.counselor).select('timeZone');
+  return toInstant(appointment.date, appointment.time, counselor?.timeZone || 'UTC');
+};
+
+const keyPrefix = appointment => `${REMINDER_JOB}:${appointment._id}:`;
+
+// Drop any reminders still waiting to go out for an appointment
+const cancelReminders = appointment =>
+  jobQueue.cancel({ key: new RegExp(`^${keyPrefix(appointment)}`) });
+
+// (Re)queue reminders for the client and the counselor. Reminders whose
+// time has already passed are skipped.
+const scheduleReminders = async appointment => {
+  await cancelReminders(appointment);
+
+  const startsAt = await getStartsAt(appointment);
+
+  await Promise.all(
+    getReminderOffsets().flatMap(hours => {
+      const runAt = new Date(startsAt.getTime() - hours * HOUR_MS);
+
+      if (runAt <= Date.now()) {
+        return [];
+      }
+
+      return ['client', 'counselor'].map(recipient =>
+        jobQueue.schedule(
+          REMINDER_JOB,
+          {
+            appointment: appointment._id.toString(),
+            recipient,
+            offsetHours: hours,
+            startsAt: startsAt.toISOString()
+          },
+          { runAt, key: `${keyPrefix(appointment)}${hours}h:${recipient}` }
+        )
+      );
+    })
+  );
+};
+
+// Errors thrown here make the queue retry with backoff
+jobQueue.registerHandler(REMINDER_JOB, async job => {
+  const { appointment: appointmentId, recipient, offsetHours, startsAt } = job.data;
+  const appointment = await Appointment.findById(appointmentId);
+
+  if (!appointment || !['pending', 'confirmed'].includes(appointment.status)) {
+    return;
+  }
+
+  // Moved since this reminder was queued, or already under way
+  const currentStartsAt = await getStartsAt(appointment);
+  if (currentStartsAt.toISOString() !== startsAt || currentStartsAt <= Date.now()) {
+    return;
+  }
+
+  const emails = await getAppointmentEmails(appointment, 'appointmentReminder', {
+    startsIn: describeOffset(offsetHours)
+  });
+  const email = emails.find(candidate => candidate.recipient === recipient);
+
+  if (email) {
+    await sendEmail(email);
+  }
+});
+
+module.exports = {
+  scheduleReminders,
+  cancelReminders
+};
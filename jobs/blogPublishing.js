@@ -0,0 +1,39 @@
+// jobs/blogPublishing.js
+const Blog = require('../models/Blog');
+const jobQueue = require('../utils/jobQueue');
+
+const PUBLISH_JOB = 'blog-publish';
+
+const jobKey = blog => `${PUBLISH_JOB}:${blog._id}`;
+
+// Queue (or move) the job that publishes a post at its publishAt
+const schedulePublish = blog =>
+  jobQueue.schedule(
+    PUBLISH_JOB,
+    { blog: blog._id.toString() },
+    { runAt: blog.publishAt, key: jobKey(blog) }
+  );
+
+const cancelScheduledPublish = blog => jobQueue.cancel({ key: jobKey(blog) });
+
+jobQueue.registerHandler(PUBLISH_JOB, async job => {
+  const blog = await Blog.findById(job.data.blog);
+
+  // Published, unscheduled or archived in the meantime
+  if (!blog || blog.isPublished || blog.archivedAt || !blog.publishAt) {
+    return;
+  }
+
+  // Rescheduled to later; the replacement job takes care of it
+  if (blog.publishAt > Date.now()) {
+    return;
+  }
+
+  blog.isPublished = true;
+  await blog.save();
+});
+
+module.exports = {
+  schedulePublish,
+  cancelScheduledPublish
+};
@@ -0,0 +1,14 @@
+// jobs/index.js
+// Loading the job modules registers their handlers with the queue
+const jobQueue = require('../utils/jobQueue');
+const appointmentReminders = require('./appointmentReminders');
+const blogPublishing = require('./blogPublishing');
+const accountEmails = require('./accountEmails');
+
+module.exports = {
+  start: jobQueue.start,
+  stop: jobQueue.stop,
+  appointmentReminders,
+  blogPublishing,
+  accountEmails
+};
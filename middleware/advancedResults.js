@@ -0,0 +1,216 @@
+// middleware/advancedResults.js
+const ErrorResponse = require('../utils/errorResponse');
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+// Query string keys that control the listing rather than filter it
+const RESERVED_PARAMS = ['select', 'sort', 'page', 'limit', 'cursor'];
+
+// field[op]=value operators that may be used in filters
+const OPERATORS = ['gt', 'gte', 'lt', 'lte', 'ne', 'in', 'nin', 'all'];
+const LIST_OPERATORS = ['in', 'nin', 'all'];
+
+// Paths that may be filtered, sorted and selected on: everything in the
+// schema apart from fields hidden with `select: false`
+const getPublicPaths = model =>
+  Object.keys(model.schema.paths).filter(
+    path => model.schema.paths[path].options.select !== false
+  );
+
+// ?date[gte]=2025-01-01&tags[in]=career,resume&status=pending
+//   -> { date: { $gte: '2025-01-01' }, tags: { $in: ['career', 'resume'] }, status: 'pending' }
+// Values are cast by Mongoose against the schema when the query runs. Both
+// flat "date[gte]" keys (Express 5's default parser) and nested objects
+// (the extended parser) are understood.
+const buildFilter = (query, allowedPaths) => {
+  const filter = {};
+
+  const addCondition = (field, op, operand) => {
+    if (!allowedPaths.includes(field) || !OPERATORS.includes(op)) return;
+
+    const conditions = (filter[field] =
+      filter[field] && typeof filter[field] === 'object' && !Array.isArray(filter[field])
+        ? filter[field]
+        : {});
+
+    // Repeated keys (?tags[in]=a&tags[in]=b) arrive as arrays
+    const values = [].concat(operand).flatMap(value => String(value).split(','));
+
+    if (LIST_OPERATORS.includes(op)) {
+      conditions[`$${op}`] = values;
+    } else if (!Array.isArray(operand)) {
+      conditions[`$${op}`] = operand;
+    } else if (op === 'ne') {
+      conditions.$nin = values;
+    }
+  };
+
+  Object.entries(query).forEach(([key, value]) => {
+    const bracketed = key.match(/^([\w.]+)\[(\w+)\]$/);
+
+    if (bracketed) {
+      addCondition(bracketed[1], bracketed[2], value);
+      return;
+    }
+
+    if (RESERVED_PARAMS.includes(key) || !allowedPaths.includes(key)) {
+      return;
+    }
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.entries(value).forEach(([op, operand]) => addCondition(key, op, operand));
+      return;
+    }
+
+    // ?status=pending&status=confirmed means either
+    filter[key] = Array.isArray(value) ? { $in: value.map(String) } : value;
+  });
+
+  return filter;
+};
+
+// "-date,time" -> [['date', -1], ['time', 1]], dropping unknown fields
+const parseSort = (sort, allowedPaths) =>
+  String(sort)
+    .split(',')
+    .map(field => field.trim())
+    .filter(Boolean)
+    .map(field => (field.startsWith('-') ? [field.slice(1), -1] : [field, 1]))
+    .filter(([field]) => allowedPaths.includes(field));
+
+const encodeCursor = (doc, [field]) =>
+  Buffer.from(JSON.stringify({ value: doc.get(field), id: doc._id })).toString('base64url');
+
+const decodeCursor = cursor => {
+  try {
+    return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+};
+
+// Documents after the cursor's position in [field, direction] order, with
+// _id breaking ties
+const afterCursor = ({ value, id }, [field, direction]) => {
+  const op = direction === 1 ? '$gt' : '$lt';
+  return {
+    $or: [{ [field]: { [op]: value } }, { [field]: value, _id: { [op]: id } }]
+  };
+};
+
+// Adds filtering (field=value, field[gte]=...), sorting (sort=-date,time),
+// field selection (select=title,slug), page pagination (page, limit) and
+// cursor pagination (cursor, limit) to a listing. The result is left on
+// res.advancedResults for the controller to send.
+//
+// options.fields      paths the client may filter, sort and select on
+//                     (default: every path not hidden with select: false);
+//                     public listings should name theirs
+// options.populate    passed to Query#populate
+// options.filter      base filter, or a function of req returning one; it
+//                     always applies on top of whatever the client asks for
+// options.sort        default sort string (default "-createdAt")
+// options.select      default projection when the client gives none
+const advancedResults = (model, options = {}) => async (req, res, next) => {
+  const publicPaths = getPublicPaths(model);
+  const allowedPaths = options.fields
+    ? options.fields.filter(path => publicPaths.includes(path))
+    : publicPaths;
+
+  const baseFilter =
+    typeof options.filter === 'function' ? await options.filter(req) : options.filter || {};
+  const filter = { ...buildFilter(req.query, allowedPaths), ...baseFilter };
+
+  const limit = Math.min(
+    Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1),
+    MAX_LIMIT
+  );
+
+  let sort = parseSort(req.query.sort || options.sort || '-createdAt', allowedPaths);
+  if (!sort.length) sort = [['createdAt', -1]];
+
+  const useCursor = req.query.cursor !== undefined;
+  let query;
+
+  if (useCursor) {
+    // Cursors track a single sort field, so only the first one is honored
+    sort = [sort[0], ['_id', sort[0][1]]];
+
+    let cursorFilter = filter;
+
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+
+      if (!cursor || cursor.id === undefined) {
+        return next(new ErrorResponse('Invalid cursor', 400));
+      }
+
+      cursorFilter = { $and: [filter, afterCursor(cursor, sort[0])] };
+    }
+
+    // One extra document tells us whether there is a next page
+    query = model.find(cursorFilter).limit(limit + 1);
+  } else {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    query = model.find(filter).skip((page - 1) * limit).limit(limit);
+  }
+
+  query = query.sort(sort);
+
+  const select = req.query.select
+    ? String(req.query.select)
+        .split(',')
+        .map(field => field.trim())
+        .filter(field => allowedPaths.includes(field))
+    : [];
+
+  if (select.length) {
+    // The sort field is needed to build the next cursor
+    if (useCursor && !select.includes(sort[0][0])) select.push(sort[0][0]);
+    query = query.select(select.join(' '));
+  } else if (options.select) {
+    query = query.select(options.select);
+  }
+
+  if (options.populate) {
+    query = query.populate(options.populate);
+  }
+
+  const [results, total] = await Promise.all([query, model.countDocuments(filter)]);
+
+  const pagination = { limit, total };
+
+  if (useCursor) {
+    const hasMore = results.length > limit;
+    if (hasMore) results.pop();
+
+    pagination.next = hasMore
+      ? { cursor: encodeCursor(results[results.length - 1], sort[0]), limit }
+      : null;
+  } else {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    pagination.page = page;
+    pagination.pages = Math.ceil(total / limit);
+
+    if (page * limit < total) {
+      pagination.next = { page: page + 1, limit };
+    }
+
+    if (page > 1) {
+      pagination.prev = { page: page - 1, limit };
+    }
+  }
+
+  res.advancedResults = {
+    success: true,
+    count: results.length,
+    pagination,
+    data: results
+  };
+
+  next();
+};
+
+module.exports = advancedResults;
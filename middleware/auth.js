@@ -1,37 +1,142 @@
 // middleware/auth.js
 const jwt = require('jsonwebtoken');
 const ErrorResponse = require('../utils/errorResponse');
+const Admin = require('../models/Admin');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { getAccessToken } = require('../utils/sessions');
+const { isTwoFactorRequired } = require('../utils/twoFactor');
+const { getPermissions, can } = require('../utils/permissions');
+
+// Resolve the account behind the request's access token (bearer header or
+// cookie), or null. The token's session must still be live, so logging out
+// or changing the password takes effect immediately.
+const getAccount = async req => {
+  const token = getAccessToken(req);
+
+  if (!token) {
+    return null;
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Tokens from before sessions existed can't be revoked, so they're refused
+    if (!decoded.sid) {
+      return null;
+    }
+
+    // Admin tokens and user tokens share the same secret; the session
+    // records which collection the account lives in (role names no longer
+    // tell, since roles can be added)
+    const session = await Session.findOne({
+      _id: decoded.sid,
+      account: decoded.id,
+      ...Session.activeFilter()
+    }).select('accountModel twoFactorVerified');
+
+    if (!session) {
+      return null;
+    }
+
+    const Model = session.accountModel === 'Admin' ? Admin : User;
+    const account = await Model.findById(decoded.id);
+
+    // Admins with two-factor on need a session that passed the code step
+    if (!account || (account.twoFactor?.enabled && !session.twoFactorVerified)) {
+      return null;
+    }
+
+    req.sessionId = decoded.sid;
+    req.twoFactorVerified = session.twoFactorVerified;
+    return account;
+  } catch (err) {
+    return null;
+  }
+};
+
+const isStaff = account => account.constructor.modelName === 'Admin';
+
+// With ADMIN_2FA_REQUIRED=true, admins without two-factor may only use the
+// routes that let them turn it on (see protectAllowingSetup)
+const needsTwoFactorSetup = account =>
+  isStaff(account) && isTwoFactorRequired() && !account.twoFactor?.enabled;
+
+// Attach the account and what its role allows (checked by authorize)
+const setUser = async (req, account) => {
+  req.user = account;
+  req.permissions = await getPermissions(account.role);
+};
 
 // Make sure these are the exact export names
 module.exports = {
   protect: async (req, res, next) => {
-    let token;
-    
-    if (req.headers.authorization?.startsWith('Bearer')) {
-      token = req.headers.authorization.split(' ')[1];
-    }
+    const account = await getAccount(req);
 
-    if (!token) {
+    if (!account) {
       return next(new ErrorResponse('Not authorized', 401));
     }
 
-    try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = decoded; // Make sure this includes role information
-      next();
-    } catch (err) {
+    if (needsTwoFactorSetup(account)) {
+      return next(
+        new ErrorResponse('Two-factor authentication must be enabled first', 403, {
+          code: 'TWO_FACTOR_SETUP_REQUIRED'
+        })
+      );
+    }
+
+    await setUser(req, account);
+    next();
+  },
+
+  // protect, minus the two-factor requirement: for setting up two-factor
+  // and the account basics around it
+  protectAllowingSetup: async (req, res, next) => {
+    const account = await getAccount(req);
+
+    if (!account) {
       return next(new ErrorResponse('Not authorized', 401));
     }
+
+    await setUser(req, account);
+    next();
+  },
+
+  // For public routes that show more to signed-in users: sets req.user when
+  // a valid token is sent, carries on anonymously otherwise
+  optionalAuth: async (req, res, next) => {
+    const account = await getAccount(req);
+
+    if (account && !needsTwoFactorSetup(account)) {
+      await setUser(req, account);
+    }
+
+    next();
   },
 
-  authorize: (...roles) => {
+  // Let the request through when the user's role has any of the given
+  // permissions (see config/permissions.js)
+  authorize: (...permissions) => {
     return (req, res, next) => {
-      if (!req.user?.role || !roles.includes(req.user.role)) {
+      if (!permissions.some(permission => can(req, permission))) {
+        const needed = permissions.join(' or ');
         return next(
-          new ErrorResponse(`User role ${req.user?.role || 'undefined'} is not authorized`, 403)
+          new ErrorResponse(
+            `Role ${req.user?.role || 'undefined'} does not have the ${needed} permission`,
+            403
+          )
         );
       }
       next();
     };
+  },
+
+  // For routes about the signed-in staff account itself (profile, password,
+  // two-factor), which every staff role may use
+  staffOnly: (req, res, next) => {
+    if (!req.user || !isStaff(req.user)) {
+      return next(new ErrorResponse('Only staff accounts can use this route', 403));
+    }
+    next();
   }
-};
\ No newline at end of file
+};
@@ -1,6 +1,40 @@
+// middleware/error.js
+const ErrorResponse = require('../utils/errorResponse');
+
+// Every error response has the same shape:
+//   { success: false, error, code, details? }
+// Unexpected errors are logged and, in production, reported without their
+// message or stack.
 const errorHandler = (err, req, res, next) => {
-    res.status(500).json({ error: err.message });
+  const isProduction = process.env.NODE_ENV === 'production';
+  const error = ErrorResponse.from(
+    err,
+    isProduction || !err.message ? 'Server Error' : err.message
+  );
+
+  if (error.statusCode >= 500) {
+    console.error(`${req.method} ${req.originalUrl} failed:`, error.cause || error);
+  }
+
+  const body = {
+    success: false,
+    error: error.message,
+    code: error.code
   };
-  
-  module.exports = errorHandler;
-  
\ No newline at end of file
+
+  if (error.details !== undefined) {
+    body.details = error.details;
+  }
+
+  if (!isProduction && error.statusCode >= 500) {
+    body.stack = (error.cause || err).stack;
+  }
+
+  if (error.headers) {
+    res.set(error.headers);
+  }
+
+  res.status(error.statusCode || 500).json(body);
+};
+
+module.exports = errorHandler;
@@ -0,0 +1,58 @@
+// middleware/validate.js
+const ErrorResponse = require('../utils/errorResponse');
+
+// How each part of the request is checked:
+//   body    only fields named in the schema get through; anything else
+//           (author, status, user...) is dropped before the controller runs
+//   params  checked as they are
+//   query   checked, extra keys allowed (listings take free-form filters)
+const LOCATIONS = {
+  params: { allowUnknown: true },
+  query: { allowUnknown: true },
+  body: { stripUnknown: true }
+};
+
+const JOI_OPTIONS = {
+  abortEarly: false,
+  errors: { wrap: { label: false } }
+};
+
+// validate({ params, query, body }) checks the request against Joi schemas
+// (see validators/) and answers 400 VALIDATION_ERROR listing every problem
+// as { location, field, message }. The validated (and type-converted) body
+// replaces req.body; params and query are left as Express parsed them.
+const validate = schemas => (req, res, next) => {
+  const details = [];
+
+  Object.entries(LOCATIONS).forEach(([location, options]) => {
+    const schema = schemas[location];
+    if (!schema) return;
+
+    const { error, value } = schema.validate(req[location] || {}, {
+      ...JOI_OPTIONS,
+      ...options
+    });
+
+    if (error) {
+      error.details.forEach(detail => {
+        details.push({
+          location,
+          field: detail.path.join('.'),
+          message: detail.message
+        });
+      });
+    } else if (location === 'body') {
+      req.body = value;
+    }
+  });
+
+  if (details.length) {
+    return next(
+      new ErrorResponse('Validation failed', 400, { code: 'VALIDATION_ERROR', details })
+    );
+  }
+
+  next();
+};
+
+module.exports = validate;
@@ -0,0 +1,22 @@
+// migrations/001-appointment-slot-index.js
+// The unique { counselor, date, time } index used to cover every
+// appointment, so cancelled slots could not be booked again. Its partial
+// replacement has its own name; the old index has to go before it can be
+// built.
+const Appointment = require('../models/Appointment');
+
+// Code MongoDB uses when the index doesn't exist
+const INDEX_NOT_FOUND = 27;
+
+module.exports = {
+  name: '001-appointment-slot-index',
+  up: async () => {
+    try {
+      await Appointment.collection.dropIndex('counselor_1_date_1_time_1');
+    } catch (err) {
+      if (err.code !== INDEX_NOT_FOUND && err.codeName !== 'NamespaceNotFound') throw err;
+    }
+
+    await Appointment.createIndexes();
+  }
+};
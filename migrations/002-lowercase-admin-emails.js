@@ -0,0 +1,13 @@
+// migrations/002-lowercase-admin-emails.js
+// Admin emails are now stored lowercase, so logins can look them up through
+// the unique email index instead of a case-insensitive collection scan.
+// Older admins may have been saved with capitals.
+const Admin = require('../models/Admin');
+
+module.exports = {
+  name: '002-lowercase-admin-emails',
+  up: () =>
+    Admin.collection.updateMany({ email: { $regex: /[A-Z]/ } }, [
+      { $set: { email: { $toLower: { $trim: { input: '$email' } } } } }
+    ])
+};
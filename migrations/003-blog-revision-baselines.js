@@ -0,0 +1,16 @@
+// migrations/003-blog-revision-baselines.js
+// Posts written before revisions existed get their current state recorded
+// as version 1, so the revision endpoints never have to write on a read.
+const Blog = require('../models/Blog');
+const BlogRevision = require('../models/BlogRevision');
+
+module.exports = {
+  name: '003-blog-revision-baselines',
+  up: async () => {
+    const withHistory = await BlogRevision.distinct('blog');
+
+    for await (const blog of Blog.find({ _id: { $nin: withHistory } })) {
+      await BlogRevision.ensureHistory(blog);
+    }
+  }
+};
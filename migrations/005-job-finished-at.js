@@ -0,0 +1,13 @@
+// migrations/005-job-finished-at.js
+// Finished jobs now expire through a TTL index on finishedAt. Jobs that
+// finished before the field existed get it from their last update.
+const Job = require('../models/Job');
+
+module.exports = {
+  name: '005-job-finished-at',
+  up: () =>
+    Job.collection.updateMany(
+      { status: { $in: ['completed', 'failed', 'cancelled'] }, finishedAt: null },
+      [{ $set: { finishedAt: '$updatedAt' } }]
+    )
+};
@@ -0,0 +1,36 @@
+// migrations/index.js
+// One-off index and data changes. Each runs once per database, in order, on
+// startup; the migrations collection records which have been applied. The
+// record is written first so that only one instance runs a migration.
+const Migration = require('../models/Migration');
+
+const migrations = [
+  require('./001-appointment-slot-index'),
+  require('./002-lowercase-admin-emails'),
+  require('./003-blog-revision-baselines'),
+  require('./004-appointment-reservations'),
+  require('./005-job-finished-at')
+];
+
+const runMigrations = async () => {
+  for (const migration of migrations) {
+    try {
+      await Migration.create({ name: migration.name });
+    } catch (err) {
+      // Applied already, or being applied by another instance
+      if (err.code === 11000) continue;
+      throw err;
+    }
+
+    try {
+      await migration.up();
+      console.log(`Migration ${migration.name} applied`);
+    } catch (err) {
+      // Let the next start try again
+      await Migration.deleteOne({ name: migration.name });
+      throw err;
+    }
+  }
+};
+
+module.exports = runMigrations;
@@ -0,0 +1,44 @@
+// models/AccountToken.js
+const mongoose = require('mongoose');
+
+// Single-use token sent by email: password resets and email address
+// verification. Only a hash of the token is stored.
+const AccountTokenSchema = new mongoose.Schema({
+  account: {
+    type: mongoose.Schema.ObjectId,
+    refPath: 'accountModel',
+    required: true
+  },
+  accountModel: {
+    type: String,
+    enum: ['Admin', 'User'],
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['password-reset', 'email-verification'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Address being verified (email-verification only)
+  email: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Expired tokens are dropped by MongoDB
+AccountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+AccountTokenSchema.index({ account: 1, purpose: 1 });
+
+module.exports = mongoose.model('AccountToken', AccountTokenSchema);
@@ -1,12 +1,15 @@
 // models/Admin.js
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
 
 const AdminSchema = new mongoose.Schema({
   email: {
     type: String,
     required: [true, 'Please add an email'],
     unique: true,
+    lowercase: true,
+    trim: true,
     match: [
       /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
       'Please add a valid email'
@@ -18,9 +21,62 @@ const AdminSchema = new mongoose.Schema({
     minlength: 6,
     select: false
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // New address waiting to be confirmed; email changes once it is
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // Failed sign-ins since the last successful one (see utils/loginGuard.js)
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  // Next sign-in allowed no earlier than this
+  loginDelayUntil: {
+    type: Date,
+    select: false
+  },
+  lockUntil: {
+    type: Date,
+    select: false
+  },
+  // Authenticator app sign-in (see utils/twoFactor.js). Secrets are stored
+  // encrypted and recovery codes hashed.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Set up but not yet confirmed with a code
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Time step of the last accepted code, so a code can't be used twice
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+  // Name of a staff Role (see config/permissions.js), assigned through
+  // /api/v1/roles
   role: {
     type: String,
-    enum: ['admin'],
     default: 'admin'
   },
   createdAt: {
@@ -32,12 +88,21 @@ const AdminSchema = new mongoose.Schema({
 // Encrypt password using bcrypt
 AdminSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
 });
 
+// Sign a short-lived access token for one of the admin's sessions
+AdminSchema.methods.getSignedJwtToken = function(sessionId) {
+  return jwt.sign(
+    { id: this._id, role: this.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.ACCESS_TOKEN_EXPIRE || '15m' }
+  );
+};
+
 // Match admin entered password to hashed password in database
 AdminSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
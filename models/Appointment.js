@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { TIME_PATTERN, getDateKey } = require('../utils/availability');
+
+// Statuses of appointments that still hold their time
+const ACTIVE_STATUSES = ['pending', 'confirmed'];
 
 const AppointmentSchema = new mongoose.Schema({
   user: {
@@ -8,7 +12,7 @@ const AppointmentSchema = new mongoose.Schema({
   },
   counselor: {
     type: mongoose.Schema.ObjectId,
-    ref: 'User',
+    ref: 'Counselor',
     required: true
   },
   type: {
@@ -22,13 +26,40 @@ const AppointmentSchema = new mongoose.Schema({
   },
   time: {
     type: String,
-    required: true
+    required: true,
+    match: [TIME_PATTERN, 'Please use HH:mm (24 hour) for the time']
   },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'completed', 'cancelled'],
+    enum: ['pending', 'confirmed', 'completed', 'cancelled', 'no-show'],
     default: 'pending'
   },
+  statusHistory: [
+    {
+      action: {
+        type: String,
+        enum: ['create', 'confirm', 'cancel', 'reschedule', 'complete', 'no-show'],
+        required: true
+      },
+      from: String,
+      to: String,
+      reason: {
+        type: String,
+        maxlength: [500, 'Reason cannot be more than 500 characters']
+      },
+      previousDate: Date,
+      previousTime: String,
+      changedBy: mongoose.Schema.ObjectId,
+      changedByRole: {
+        type: String,
+        enum: ['client', 'counselor', 'admin']
+      },
+      changedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }
+  ],
   notes: {
     type: String,
     maxlength: [500, 'Notes cannot be more than 500 characters']
@@ -43,7 +74,38 @@ const AppointmentSchema = new mongoose.Schema({
   }
 });
 
-// Prevent duplicate bookings
-AppointmentSchema.index({ counselor: 1, date: 1, time: 1 }, { unique: true });
+// Appointment dates are calendar days, keep them at UTC midnight so they line
+// up with counselor schedules
+AppointmentSchema.pre('validate', function(next) {
+  if (this.date && !Number.isNaN(this.date.getTime())) {
+    this.date = new Date(getDateKey(this.date));
+  }
+  next();
+});
+
+// Append an entry to the status history
+AppointmentSchema.methods.recordTransition = function(action, entry = {}) {
+  this.statusHistory.push({ action, to: this.status, ...entry });
+};
+
+AppointmentSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Prevent duplicate bookings. Overlaps are guarded by ScheduleDay, this is
+// the last line of defence and ignores cancelled appointments so their time
+// can be booked again.
+AppointmentSchema.index(
+  { counselor: 1, date: 1, time: 1 },
+  {
+    // Named, since it replaced an index on the same keys (see migrations/)
+    name: 'active_slot_unique',
+    unique: true,
+    partialFilterExpression: { status: { $in: ACTIVE_STATUSES } }
+  }
+);
+
+AppointmentSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
 
 module.exports = mongoose.model('Appointment', AppointmentSchema);
\ No newline at end of file
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const slugify = require('../utils/slugify');
+const { renderMarkdown, makeExcerpt } = require('../utils/markdown');
 
 const BlogSchema = new mongoose.Schema({
   title: {
@@ -7,23 +9,75 @@ const BlogSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Title cannot be more than 100 characters']
   },
-  slug: String,
+  slug: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Slugs the post was published under before being renamed, kept so old
+  // links keep resolving
+  previousSlugs: {
+    type: [String],
+    index: true,
+    default: []
+  },
+  // Markdown source
   content: {
     type: String,
     required: [true, 'Please add content']
     
   },
+  // Sanitized HTML rendered from content; this is what the site displays
+  contentHtml: String,
+  toc: [
+    {
+      _id: false,
+      level: Number,
+      text: String,
+      id: String
+    }
+  ],
+  // Estimated minutes to read
+  readingTime: Number,
   excerpt: {
     type: String,
     maxlength: [200, 'Excerpt cannot be more than 200 characters']
   },
+  // True while the excerpt is generated from content rather than written
+  excerptIsAuto: {
+    type: Boolean,
+    default: false
+  },
   image: {
     public_id: String,
-    url: String
+    url: String,
+    width: Number,
+    height: Number,
+    format: String,
+    // Storage driver the files were written with (see utils/storage)
+    driver: String,
+    variants: [{
+      _id: false,
+      name: String,
+      public_id: String,
+      url: String,
+      width: Number,
+      height: Number
+    }]
   },
+  // Cover image from the media library
+  coverImage: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Media'
+  },
+  // Library assets used in the post body, found from the rendered content
+  media: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'Media'
+  }],
   author: {
     type: mongoose.Schema.ObjectId,
-    ref: 'User',
+    ref: 'Admin',
     required: true
   },
   createdAt: {
@@ -41,7 +95,138 @@ const BlogSchema = new mongoose.Schema({
   isPublished: {
     type: Boolean,
     default: false
+  },
+  // Approved comments, kept up to date by Comment.syncCount
+  commentCount: {
+    type: Number,
+    default: 0
+  },
+  // When a scheduled post goes live (see jobs/blogPublishing.js)
+  publishAt: Date,
+  publishedAt: Date,
+  archivedAt: Date
+});
+
+// Full-text search, ranked with title matches counting most
+BlogSchema.index(
+  { title: 'text', tags: 'text', excerpt: 'text', content: 'text' },
+  {
+    name: 'BlogTextIndex',
+    weights: { title: 10, tags: 5, excerpt: 3, content: 1 }
+  }
+);
+
+// Whether anonymous visitors may read the post
+BlogSchema.virtual('isPublic').get(function() {
+  return this.isPublished && !this.archivedAt;
+});
+
+// Not published, scheduled or archived: the only posts authors may change
+BlogSchema.virtual('isDraft').get(function() {
+  return !this.isPublished && !this.publishAt && !this.archivedAt;
+});
+
+// Filter for posts anonymous visitors may read
+BlogSchema.statics.publicFilter = () => ({ isPublished: true, archivedAt: null });
+
+// Render content to HTML, with table of contents, reading time and (unless
+// one was written by hand) excerpt
+BlogSchema.methods.renderContent = function() {
+  const { html, summary, toc, images, readingTime } = renderMarkdown(this.content);
+
+  this.contentHtml = html;
+  // Resolved to library assets in the pre-validate hook below
+  this.$locals.imageSources = images;
+  this.toc = toc;
+  this.readingTime = readingTime;
+
+  if (this.isModified('excerpt') && this.excerpt) {
+    this.excerptIsAuto = false;
+  } else if (!this.excerpt || this.excerptIsAuto) {
+    this.excerpt = makeExcerpt(summary);
+    this.excerptIsAuto = true;
+  }
+};
+
+BlogSchema.pre('validate', function(next) {
+  // Rendered fields are never trusted from input, they always come from content
+  const stale =
+    ['content', 'excerpt', 'contentHtml', 'toc', 'readingTime', 'media'].some(field =>
+      this.isModified(field)
+    ) || !this.contentHtml;
+
+  if (this.content && stale) {
+    this.renderContent();
   }
+  next();
+});
+
+// Link the post to the library assets its body uses
+BlogSchema.pre('validate', async function(next) {
+  const sources = this.$locals.imageSources;
+
+  if (!sources) return next();
+
+  const assets = await mongoose.model('Media').findByUrls(sources).select('_id');
+  this.media = assets.map(asset => asset._id);
+  delete this.$locals.imageSources;
+
+  next();
+});
+
+// Generate a unique slug from the title (or a slug given explicitly), and
+// remember the old one when it changes
+BlogSchema.pre('validate', async function(next) {
+  const slugChanged = this.isModified('slug') && this.slug;
+
+  if (!slugChanged && !this.isNew && !this.isModified('title') && this.slug) {
+    return next();
+  }
+
+  const base = slugify(slugChanged ? this.slug : this.title) || 'post';
+  const stored = this.isNew
+    ? null
+    : await this.constructor.findById(this._id).select('slug');
+  const previous = stored?.slug;
+
+  let candidate = base;
+  let suffix = 2;
+
+  // Another post may hold the slug now or have held it before
+  while (
+    await this.constructor.exists({
+      _id: { $ne: this._id },
+      $or: [{ slug: candidate }, { previousSlugs: candidate }]
+    })
+  ) {
+    candidate = `${base}-${suffix++}`;
+  }
+
+  this.slug = candidate;
+
+  if (previous && previous !== candidate && !this.previousSlugs.includes(previous)) {
+    this.previousSlugs.push(previous);
+  }
+
+  // Going back to an earlier slug makes it canonical again
+  this.previousSlugs = this.previousSlugs.filter(slug => slug !== candidate);
+
+  next();
+});
+
+BlogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    this.updatedAt = Date.now();
+  }
+
+  // Going live settles any schedule and brings the post out of the archive
+  if (this.isModified('isPublished') && this.isPublished) {
+    this.publishedAt = this.publishedAt || Date.now();
+    this.publishAt = undefined;
+    this.archivedAt = undefined;
+  }
+
+  next();
 });
 
 module.exports = mongoose.model('Blog', BlogSchema);
\ No newline at end of file
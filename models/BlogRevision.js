@@ -0,0 +1,77 @@
+// models/BlogRevision.js
+const mongoose = require('mongoose');
+
+// Fields of a post that are versioned
+const TRACKED_FIELDS = ['title', 'content', 'excerpt', 'tags'];
+
+// Snapshot of a blog post's content after a save. Versions count up from 1
+// per post; the highest one matches the live post.
+const BlogRevisionSchema = new mongoose.Schema({
+  blog: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Blog',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  title: String,
+  content: String,
+  excerpt: String,
+  // Whether the excerpt was generated from the content rather than written
+  excerptIsAuto: Boolean,
+  tags: [String],
+  editor: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Admin'
+  },
+  // Set when the revision came from restoring an older version
+  restoredFrom: Number,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+BlogRevisionSchema.index({ blog: 1, version: -1 }, { unique: true });
+
+BlogRevisionSchema.statics.TRACKED_FIELDS = TRACKED_FIELDS;
+
+// Store the blog's current content as its next version
+BlogRevisionSchema.statics.record = async function(blog, editor, extra = {}) {
+  const snapshot = TRACKED_FIELDS.reduce(
+    (fields, field) => ({ ...fields, [field]: blog[field] }),
+    { excerptIsAuto: blog.excerptIsAuto }
+  );
+
+  // Two editors saving at once can race for a version number; the unique
+  // index makes the loser try the next one
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const latest = await this.findOne({ blog: blog._id }).sort('-version').select('version');
+
+    try {
+      return await this.create({
+        blog: blog._id,
+        version: (latest?.version || 0) + 1,
+        editor,
+        ...snapshot,
+        ...extra
+      });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+    }
+  }
+
+  throw new Error(`Could not record a revision for blog ${blog._id}`);
+};
+
+// Posts written before revisions existed get their current state recorded
+// as version 1: by a migration, and before their first update
+BlogRevisionSchema.statics.ensureHistory = async function(blog) {
+  if (!(await this.exists({ blog: blog._id }))) {
+    await this.record(blog, blog.author, { createdAt: blog.updatedAt || blog.createdAt });
+  }
+};
+
+module.exports = mongoose.model('BlogRevision', BlogRevisionSchema);
@@ -0,0 +1,82 @@
+// models/Comment.js
+const mongoose = require('mongoose');
+
+const CommentSchema = new mongoose.Schema({
+  blog: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Blog',
+    required: true
+  },
+  // Comment being replied to, if any
+  parent: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  // Set for signed-in commenters; guests give a name and email instead
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  authorName: {
+    type: String,
+    required: [true, 'Please add a name'],
+    trim: true,
+    maxlength: [50, 'Name cannot be more than 50 characters']
+  },
+  authorEmail: {
+    type: String,
+    required: [true, 'Please add an email'],
+    lowercase: true,
+    trim: true,
+    select: false,
+    match: [
+      /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+      'Please add a valid email'
+    ]
+  },
+  content: {
+    type: String,
+    required: [true, 'Please add a comment'],
+    trim: true,
+    maxlength: [2000, 'Comment cannot be more than 2000 characters']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'spam'],
+    default: 'pending'
+  },
+  spamScore: {
+    type: Number,
+    default: 0
+  },
+  spamReasons: [String],
+  ip: {
+    type: String,
+    select: false
+  },
+  userAgent: {
+    type: String,
+    select: false
+  },
+  moderatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Admin'
+  },
+  moderatedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+CommentSchema.index({ blog: 1, status: 1, createdAt: 1 });
+CommentSchema.index({ status: 1, createdAt: -1 });
+
+// Store the number of approved comments on the blog, for listings
+CommentSchema.statics.syncCount = async function(blogId) {
+  const count = await this.countDocuments({ blog: blogId, status: 'approved' });
+  await mongoose.model('Blog').updateOne({ _id: blogId }, { commentCount: count });
+};
+
+module.exports = mongoose.model('Comment', CommentSchema);
@@ -0,0 +1,166 @@
+// models/Counselor.js
+const mongoose = require('mongoose');
+const { TIME_PATTERN } = require('../utils/availability');
+
+const timeField = {
+  type: String,
+  match: [TIME_PATTERN, 'Please use HH:mm (24 hour) for times']
+};
+
+const WeeklySlotSchema = new mongoose.Schema({
+  dayOfWeek: {
+    type: Number,
+    required: [true, 'Please add a day of the week'],
+    min: [0, 'Day of the week must be between 0 (Sunday) and 6 (Saturday)'],
+    max: [6, 'Day of the week must be between 0 (Sunday) and 6 (Saturday)']
+  },
+  startTime: { ...timeField, required: [true, 'Please add a start time'] },
+  endTime: { ...timeField, required: [true, 'Please add an end time'] }
+});
+
+WeeklySlotSchema.pre('validate', function(next) {
+  if (this.startTime && this.endTime && this.startTime >= this.endTime) {
+    this.invalidate('endTime', 'End time must be after start time');
+  }
+  next();
+});
+
+// A date-specific override of the weekly schedule. Without times the whole
+// range is blocked (vacations, holidays); with times only that window is
+// blocked, or added when isAvailable is true (e.g. an extra Saturday shift).
+const ExceptionSchema = new mongoose.Schema({
+  startDate: {
+    type: Date,
+    required: [true, 'Please add a start date']
+  },
+  endDate: Date,
+  startTime: timeField,
+  endTime: timeField,
+  isAvailable: {
+    type: Boolean,
+    default: false
+  },
+  reason: {
+    type: String,
+    maxlength: [200, 'Reason cannot be more than 200 characters']
+  }
+});
+
+ExceptionSchema.pre('validate', function(next) {
+  if (!this.endDate) {
+    this.endDate = this.startDate;
+  }
+  if (this.startDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must not be before start date');
+  }
+  if (Boolean(this.startTime) !== Boolean(this.endTime)) {
+    this.invalidate('endTime', 'Please add both a start and an end time');
+  } else if (this.startTime && this.startTime >= this.endTime) {
+    this.invalidate('endTime', 'End time must be after start time');
+  }
+  if (this.isAvailable && !this.startTime) {
+    this.invalidate('startTime', 'Please add the hours the counselor is available');
+  }
+  next();
+});
+
+const CounselorSchema = new mongoose.Schema({
+  // Login account the counselor uses to manage their appointments
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    unique: true,
+    sparse: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please add a name'],
+    trim: true,
+    maxlength: [50, 'Name cannot be more than 50 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Please add an email'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [
+      /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+      'Please add a valid email'
+    ]
+  },
+  bio: {
+    type: String,
+    maxlength: [1000, 'Bio cannot be more than 1000 characters']
+  },
+  specialties: {
+    type: [String],
+    default: []
+  },
+  photo: {
+    public_id: String,
+    url: String
+  },
+  timeZone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: value => {
+        try {
+          new Intl.DateTimeFormat('en-US', { timeZone: value });
+          return true;
+        } catch (err) {
+          return false;
+        }
+      },
+      message: props => `${props.value} is not a valid IANA time zone`
+    }
+  },
+  weeklyAvailability: {
+    type: [WeeklySlotSchema],
+    default: []
+  },
+  exceptions: {
+    type: [ExceptionSchema],
+    default: []
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // SHA-256 of the secret in the counselor's calendar feed URL
+  calendarToken: {
+    type: String,
+    select: false,
+    index: true,
+    sparse: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// What anyone may see of a counselor: contact details, the linked account
+// and time off stay private
+CounselorSchema.statics.PUBLIC_FIELDS = [
+  '_id',
+  'name',
+  'bio',
+  'specialties',
+  'photo.url',
+  'timeZone',
+  'weeklyAvailability',
+  'createdAt'
+];
+
+CounselorSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Counselor', CounselorSchema);
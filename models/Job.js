@@ -0,0 +1,67 @@
+// models/Job.js
+const mongoose = require('mongoose');
+
+// A unit of background work picked up by utils/jobQueue.js. Jobs live in
+// MongoDB so anything scheduled survives restarts and deploys.
+const JobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  // Identifies a logical job so it can be replaced or cancelled, e.g.
+  // "appointment-reminder:<appointment>:24h:client"
+  key: String,
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  lastError: String,
+  lockedAt: Date,
+  lockedBy: String,
+  completedAt: Date,
+  // Set once the job is completed, failed or cancelled; the TTL index below
+  // removes it some time after
+  finishedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+JobSchema.index({ status: 1, runAt: 1 });
+
+// Only one pending copy of a keyed job at a time
+JobSchema.index(
+  { key: 1 },
+  { unique: true, partialFilterExpression: { status: 'queued' } }
+);
+
+// Finished jobs are kept JOB_RETENTION_DAYS (default 30) for inspection. The
+// TTL is fixed when the index is built; changing it later needs a collMod.
+JobSchema.index(
+  { finishedAt: 1 },
+  { expireAfterSeconds: Number(process.env.JOB_RETENTION_DAYS || 30) * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('Job', JobSchema);
@@ -0,0 +1,51 @@
+// models/LoginAttempt.js
+const mongoose = require('mongoose');
+
+// Audit trail of failed sign-ins, also used to throttle busy IPs
+const LoginAttemptSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // Which login was used, and the account when the email matched one
+  accountModel: {
+    type: String,
+    enum: ['Admin', 'User'],
+    required: true
+  },
+  account: {
+    type: mongoose.Schema.ObjectId,
+    refPath: 'accountModel'
+  },
+  reason: {
+    type: String,
+    enum: [
+      'unknown-account',
+      'bad-password',
+      'bad-two-factor-code',
+      'locked',
+      'throttled',
+      'ip-blocked'
+    ],
+    required: true
+  },
+  ip: String,
+  userAgent: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+LoginAttemptSchema.index({ ip: 1, createdAt: -1 });
+LoginAttemptSchema.index({ account: 1, createdAt: -1 });
+// Replaying failures for emails without an account (see utils/loginGuard.js)
+LoginAttemptSchema.index({ email: 1, accountModel: 1, createdAt: -1 });
+// Kept for LOGIN_AUDIT_RETENTION_DAYS (default 90)
+LoginAttemptSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: (Number(process.env.LOGIN_AUDIT_RETENTION_DAYS) || 90) * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('LoginAttempt', LoginAttemptSchema);
@@ -0,0 +1,83 @@
+// models/Media.js
+const mongoose = require('mongoose');
+
+// An image in the media library. Blogs point at assets through coverImage
+// and (for images used in the post body) media; an asset can't be deleted
+// while any blog still does.
+const MediaSchema = new mongoose.Schema({
+  // Name of the file as uploaded
+  filename: {
+    type: String,
+    trim: true
+  },
+  alt: {
+    type: String,
+    trim: true,
+    maxlength: [250, 'Alt text cannot be more than 250 characters'],
+    default: ''
+  },
+  caption: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Caption cannot be more than 500 characters']
+  },
+  tags: {
+    type: [String],
+    set: tags => [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))],
+    index: true
+  },
+  // Where utils/storage put the files
+  public_id: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  driver: String,
+  format: String,
+  // Bytes as uploaded
+  size: Number,
+  width: Number,
+  height: Number,
+  variants: [{
+    _id: false,
+    name: String,
+    public_id: String,
+    url: String,
+    width: Number,
+    height: Number
+  }],
+  uploadedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Admin'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+MediaSchema.index({ url: 1 });
+MediaSchema.index({ 'variants.url': 1 });
+
+// Assets whose original or any variant is served from one of `urls`
+MediaSchema.statics.findByUrls = function(urls) {
+  if (!urls.length) return this.find({ _id: null });
+
+  return this.find({ $or: [{ url: { $in: urls } }, { 'variants.url': { $in: urls } }] });
+};
+
+MediaSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    this.updatedAt = Date.now();
+  }
+  next();
+});
+
+module.exports = mongoose.model('Media', MediaSchema);
@@ -0,0 +1,17 @@
+// models/Migration.js
+const mongoose = require('mongoose');
+
+// One-off changes from migrations/ that have been applied to this database
+const MigrationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  appliedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('Migration', MigrationSchema);
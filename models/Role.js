@@ -0,0 +1,62 @@
+// models/Role.js
+const mongoose = require('mongoose');
+const { PERMISSIONS, CLIENT_PERMISSIONS, ALL_PERMISSIONS } = require('../config/permissions');
+
+// A named set of permissions (see config/permissions.js). Accounts refer to
+// their role by name.
+const RoleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a role name'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    maxlength: [30, 'Role name cannot be more than 30 characters'],
+    match: [/^[a-z][a-z0-9-]*$/, 'Role names may only use letters, numbers and hyphens']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  // Staff (Admin) or client (User) accounts
+  accountModel: {
+    type: String,
+    enum: ['Admin', 'User'],
+    required: true
+  },
+  permissions: {
+    type: [String],
+    enum: [ALL_PERMISSIONS, ...Object.keys(PERMISSIONS)],
+    default: [],
+    validate: {
+      validator: function(permissions) {
+        return (
+          this.accountModel !== 'User' ||
+          permissions.every(permission => CLIENT_PERMISSIONS.includes(permission))
+        );
+      },
+      message: `Client roles may only have these permissions: ${CLIENT_PERMISSIONS.join(', ')}`
+    }
+  },
+  // Built-in roles can be changed but not deleted
+  builtIn: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+RoleSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Role', RoleSchema);
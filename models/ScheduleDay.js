@@ -0,0 +1,126 @@
+// models/ScheduleDay.js
+const mongoose = require('mongoose');
+const { getAppointmentWindow, getDateKey } = require('../utils/availability');
+
+// One document per counselor per calendar day holding the minute ranges
+// taken by active appointments. Reservations are made with a single
+// conditional update on this document, so two overlapping bookings can never
+// both succeed no matter how the requests interleave.
+const ScheduleDaySchema = new mongoose.Schema({
+  counselor: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Counselor',
+    required: true
+  },
+  day: {
+    type: String,
+    required: true,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Day must be formatted as YYYY-MM-DD']
+  },
+  bookings: [
+    {
+      _id: false,
+      appointment: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Appointment',
+        required: true
+      },
+      start: { type: Number, required: true },
+      end: { type: Number, required: true }
+    }
+  ]
+});
+
+ScheduleDaySchema.index({ counselor: 1, day: 1 }, { unique: true });
+
+// The reservation an appointment needs: its counselor, day and minute range
+ScheduleDaySchema.statics.reservationFor = appointment => {
+  const [start, end] = getAppointmentWindow(appointment);
+
+  return {
+    counselor: appointment.counselor,
+    day: getDateKey(appointment.date),
+    start,
+    end,
+    appointment: appointment._id
+  };
+};
+
+// Reserve [start, end) minutes on `day` for an appointment. If the
+// appointment already holds a range that day it is moved instead.
+// Resolves to null on success, or the booking that clashes.
+ScheduleDaySchema.statics.reserve = async function({
+  counselor,
+  day,
+  start,
+  end,
+  appointment
+}) {
+  try {
+    await this.updateOne(
+      { counselor, day },
+      { $setOnInsert: { bookings: [] } },
+      { upsert: true }
+    );
+  } catch (err) {
+    // Another request created the day first, which is all we needed
+    if (err.code !== 11000) throw err;
+  }
+
+  const noClash = {
+    $not: {
+      $elemMatch: {
+        appointment: { $ne: appointment },
+        start: { $lt: end },
+        end: { $gt: start }
+      }
+    }
+  };
+
+  const isClash = booking =>
+    booking.appointment.toString() !== appointment.toString() &&
+    booking.start < end &&
+    booking.end > start;
+
+  // A clash can be released between our update and the lookup below, in
+  // which case the range is worth trying again
+  for (let attempt = 0; attempt < 3; attempt++) {
+    let result = await this.updateOne(
+      { counselor, day, 'bookings.appointment': appointment, bookings: noClash },
+      { $set: { 'bookings.$[mine].start': start, 'bookings.$[mine].end': end } },
+      { arrayFilters: [{ 'mine.appointment': appointment }] }
+    );
+
+    if (!result.matchedCount) {
+      result = await this.updateOne(
+        {
+          counselor,
+          day,
+          'bookings.appointment': { $ne: appointment },
+          bookings: noClash
+        },
+        { $push: { bookings: { appointment, start, end } } }
+      );
+    }
+
+    if (result.matchedCount) {
+      return null;
+    }
+
+    const scheduleDay = await this.findOne({ counselor, day });
+    const clash = scheduleDay.bookings.find(isClash);
+
+    if (clash) {
+      return clash;
+    }
+  }
+
+  throw new Error(`Could not reserve ${day} for appointment ${appointment}`);
+};
+
+// Free whatever range an appointment holds on `day`
+ScheduleDaySchema.statics.release = function({ counselor, day, appointment }) {
+  return this.updateOne({ counselor, day }, { $pull: { bookings: { appointment } } });
+};
+
+module.exports = mongoose.model('ScheduleDay', ScheduleDaySchema);
@@ -0,0 +1,79 @@
+// models/Session.js
+const mongoose = require('mongoose');
+
+// One signed-in device. The client holds a refresh token made of the
+// session id and a secret; only a hash of the secret is stored, and it is
+// replaced every time the token is used (see utils/sessions.js). Access
+// tokens carry the session id, so revoking the session signs the device
+// out straight away.
+const SessionSchema = new mongoose.Schema({
+  account: {
+    type: mongoose.Schema.ObjectId,
+    refPath: 'accountModel',
+    required: true
+  },
+  accountModel: {
+    type: String,
+    enum: ['Admin', 'User'],
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // The token swapped out last, still accepted for a few seconds so that
+  // two tabs (or a retry) refreshing at once aren't taken for theft
+  previousRefreshTokenHash: {
+    type: String,
+    select: false
+  },
+  rotatedAt: Date,
+  // Refresh tokens stop working after this; the document goes soon after
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Signed in with the second factor as well as the password; admins with
+  // two-factor on can only use sessions that were
+  twoFactorVerified: {
+    type: Boolean,
+    default: false
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout-all', 'password-change', 'two-factor-change', 'token-reuse']
+  },
+  ip: String,
+  userAgent: String,
+  lastUsedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+SessionSchema.index({ account: 1, accountModel: 1 });
+
+// Filter for sessions that may still be used
+SessionSchema.statics.activeFilter = () => ({
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+// Sign an account out everywhere, optionally keeping one session
+SessionSchema.statics.revokeAll = function(account, reason, exceptSessionId) {
+  return this.updateMany(
+    {
+      account: account._id,
+      accountModel: account.constructor.modelName,
+      revokedAt: null,
+      ...(exceptSessionId && { _id: { $ne: exceptSessionId } })
+    },
+    { revokedAt: Date.now(), revokedReason: reason }
+  );
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
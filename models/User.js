@@ -0,0 +1,101 @@
+// models/User.js
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+const UserSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a name'],
+    trim: true,
+    maxlength: [50, 'Name cannot be more than 50 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Please add an email'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [
+      /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+      'Please add a valid email'
+    ]
+  },
+  phone: {
+    type: String,
+    maxlength: [20, 'Phone number cannot be longer than 20 characters']
+  },
+  password: {
+    type: String,
+    required: [true, 'Please add a password'],
+    minlength: 6,
+    select: false
+  },
+  // Name of a client Role (see config/permissions.js), assigned through
+  // /api/v1/roles
+  role: {
+    type: String,
+    default: 'client'
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // New address waiting to be confirmed; email changes once it is
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // Failed sign-ins since the last successful one (see utils/loginGuard.js)
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  // Next sign-in allowed no earlier than this
+  loginDelayUntil: {
+    type: Date,
+    select: false
+  },
+  lockUntil: {
+    type: Date,
+    select: false
+  },
+  // SHA-256 of the secret in the user's calendar feed URL
+  calendarToken: {
+    type: String,
+    select: false,
+    index: true,
+    sparse: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Encrypt password using bcrypt
+UserSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) {
+    return next();
+  }
+  const salt = await bcrypt.genSalt(10);
+  this.password = await bcrypt.hash(this.password, salt);
+});
+
+// Sign a short-lived access token for one of the user's sessions
+UserSchema.methods.getSignedJwtToken = function(sessionId) {
+  return jwt.sign(
+    { id: this._id, role: this.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.ACCESS_TOKEN_EXPIRE || '15m' }
+  );
+};
+
+// Match user entered password to hashed password in database
+UserSchema.methods.matchPassword = async function(enteredPassword) {
+  return await bcrypt.compare(enteredPassword, this.password);
+};
+
+module.exports = mongoose.model('User', UserSchema);
@@ -1,18 +1,77 @@
 const express = require('express');
 const router = express.Router();
 const { protect, authorize } = require('../middleware/auth');
+const advancedResults = require('../middleware/advancedResults');
+const validate = require('../middleware/validate');
+const Appointment = require('../models/Appointment');
 const {
   getAppointments,
   getAppointment,
   createAppointment,
   updateAppointment,
-  deleteAppointment
+  deleteAppointment,
+  confirmAppointment,
+  cancelAppointment,
+  rescheduleAppointment,
+  completeAppointment,
+  markNoShow,
+  createCalendarToken,
+  getCalendarFeed,
+  visibleFilter
 } = require('../controllers/appointmentController');
+const schemas = require('../validators/appointmentValidators');
+const { idParam } = require('../validators/common');
+
+// Calendar feed (authenticated by the token in its URL)
+router.get('/calendar.ics', validate(schemas.getCalendarFeed), getCalendarFeed);
+router.post(
+  '/calendar/token',
+  protect,
+  validate(schemas.createCalendarToken),
+  createCalendarToken
+);
+
+router.get(
+  '/',
+  protect,
+  authorize('appointments:manage', 'appointments:counsel', 'appointments:book'),
+  advancedResults(Appointment, {
+    filter: visibleFilter,
+    sort: '-date',
+    populate: [
+      { path: 'user', select: 'name email phone' },
+      { path: 'counselor', select: 'name email timeZone' }
+    ]
+  }),
+  getAppointments
+);
+router.get('/:id', protect, validate(idParam), getAppointment);
+router.post(
+  '/',
+  protect,
+  authorize('appointments:book'),
+  validate(schemas.createAppointment),
+  createAppointment
+);
+router.put('/:id', protect, validate(schemas.updateAppointment), updateAppointment);
+router.delete(
+  '/:id',
+  protect,
+  authorize('appointments:manage'),
+  validate(idParam),
+  deleteAppointment
+);
 
-router.get('/', protect, authorize('admin'), getAppointments);
-router.get('/:id', protect, getAppointment);
-router.post('/', protect, createAppointment);
-router.put('/:id', protect, updateAppointment);
-router.delete('/:id', protect, deleteAppointment);
+// Lifecycle transitions
+router.put('/:id/confirm', protect, validate(idParam), confirmAppointment);
+router.put('/:id/cancel', protect, validate(schemas.cancelAppointment), cancelAppointment);
+router.put(
+  '/:id/reschedule',
+  protect,
+  validate(schemas.rescheduleAppointment),
+  rescheduleAppointment
+);
+router.put('/:id/complete', protect, validate(idParam), completeAppointment);
+router.put('/:id/no-show', protect, validate(idParam), markNoShow);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
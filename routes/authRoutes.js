@@ -1,8 +1,105 @@
 // routes/authRoutes.js
 const express = require('express');
 const router = express.Router();
-const { login } = require('../controllers/authController');
+const {
+  protect,
+  protectAllowingSetup,
+  optionalAuth,
+  authorize,
+  staffOnly
+} = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const advancedResults = require('../middleware/advancedResults');
+const {
+  login,
+  getMe,
+  updateDetails,
+  updatePassword,
+  getLoginAttempts,
+  unlockLogin
+} = require('../controllers/authController');
+const { refreshToken, logout, logoutAll } = require('../controllers/sessionController');
+const {
+  loginTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+} = require('../controllers/twoFactorController');
+const {
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification
+} = require('../controllers/accountController');
+const Admin = require('../models/Admin');
+const LoginAttempt = require('../models/LoginAttempt');
+const schemas = require('../validators/userValidators');
 
-router.post('/login', login);
+router.post('/login', validate(schemas.login), login);
+router.post('/login/2fa', validate(schemas.loginTwoFactor), loginTwoFactor);
+router.post('/refresh', validate(schemas.refreshToken), refreshToken);
+router.post('/logout', optionalAuth, validate(schemas.refreshToken), logout);
+router.post('/logout-all', protectAllowingSetup, staffOnly, logoutAll);
+router.post('/forgotpassword', validate(schemas.forgotPassword), forgotPassword(Admin));
+router.put('/resetpassword/:token', validate(schemas.resetPassword), resetPassword);
+router.put('/verifyemail/:token', validate(schemas.verifyEmail), verifyEmail);
+router.post('/resendverification', protect, staffOnly, resendVerification);
+router.get('/me', protectAllowingSetup, staffOnly, getMe);
+router.put(
+  '/updatedetails',
+  protect,
+  staffOnly,
+  validate(schemas.updateAdminDetails),
+  updateDetails
+);
+router.put(
+  '/updatepassword',
+  protect,
+  staffOnly,
+  validate(schemas.updatePassword),
+  updatePassword
+);
 
-module.exports = router;
\ No newline at end of file
+// Two-factor authentication; reachable before it is set up, so admins can
+// comply with ADMIN_2FA_REQUIRED
+router.post('/2fa/setup', protectAllowingSetup, staffOnly, setupTwoFactor);
+router.post(
+  '/2fa/enable',
+  protectAllowingSetup,
+  staffOnly,
+  validate(schemas.enableTwoFactor),
+  enableTwoFactor
+);
+router.post(
+  '/2fa/recovery-codes',
+  protect,
+  staffOnly,
+  validate(schemas.reauthenticateTwoFactor),
+  regenerateRecoveryCodes
+);
+router.post(
+  '/2fa/disable',
+  protect,
+  staffOnly,
+  validate(schemas.reauthenticateTwoFactor),
+  disableTwoFactor
+);
+
+// Brute-force protection
+router.get(
+  '/login-attempts',
+  protect,
+  authorize('accounts:manage'),
+  advancedResults(LoginAttempt),
+  getLoginAttempts
+);
+router.put(
+  '/unlock',
+  protect,
+  authorize('accounts:manage'),
+  validate(schemas.unlockLogin),
+  unlockLogin
+);
+
+module.exports = router;
@@ -1,37 +1,149 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const advancedResults = require('../middleware/advancedResults');
+const validate = require('../middleware/validate');
+const Blog = require('../models/Blog');
 const blogController = require('../controllers/blogController');
+const {
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision
+} = require('../controllers/blogRevisionController');
+const {
+  getBlogComments,
+  addComment
+} = require('../controllers/commentController');
+const { getRssFeed, getAtomFeed } = require('../controllers/feedController');
 const upload = require('../utils/upload');
+const schemas = require('../validators/blogValidators');
+const { idParam } = require('../validators/common');
+
+// Per-IP limit on new comments, on top of the global limiter
+const commentLimiter = rateLimit({
+  windowMs: 10 * 60 * 1000, // 10 minutes
+  max: Number(process.env.COMMENT_RATE_LIMIT || 5),
+  message: {
+    success: false,
+    error: 'Too many comments from this IP, please try again after 10 minutes',
+    code: 'TOO_MANY_REQUESTS'
+  }
+});
 
 // Public routes
-router.get('/', blogController.getBlogs);
-router.get('/:id', blogController.getBlog);
+router.get('/', 
+  optionalAuth,
+  advancedResults(Blog, {
+    // Editors see drafts, scheduled and archived posts too, authors their own
+    filter: blogController.visibleFilter,
+    select: '-__v',
+    populate: { path: 'coverImage', select: 'url alt width height format variants' }
+  }),
+  blogController.getBlogs
+);
+router.get('/feed.rss', getRssFeed);
+router.get('/feed.atom', getAtomFeed);
+router.get('/search', optionalAuth, validate(schemas.searchBlogs), blogController.searchBlogs);
+router.get(
+  '/slug/:slug',
+  optionalAuth,
+  validate(schemas.getBlogBySlug),
+  blogController.getBlogBySlug
+);
+router.get('/:id', optionalAuth, validate(idParam), blogController.getBlog);
 
-// Protected admin routes
+// Comments
+router.get('/:blogId/comments', optionalAuth, validate(schemas.blogComments), getBlogComments);
+router.post(
+  '/:blogId/comments',
+  commentLimiter,
+  optionalAuth,
+  validate(schemas.addComment),
+  addComment
+);
+
+// Writing: editors change any post, authors their own drafts
 router.post('/', 
   protect,
-  authorize('admin'),
+  authorize('blogs:create'),
+  validate(schemas.createBlog),
   blogController.createBlog
 );
 
 router.put('/:id', 
   protect,
-  authorize('admin'),
+  authorize('blogs:edit-any', 'blogs:edit-own'),
+  validate(schemas.updateBlog),
   blogController.updateBlog
 );
 
 router.delete('/:id', 
   protect,
-  authorize('admin'),
+  authorize('blogs:delete', 'blogs:edit-own'),
+  validate(idParam),
   blogController.deleteBlog
 );
 
+// Publishing workflow
+router.put('/:id/publish', 
+  protect,
+  authorize('blogs:publish'),
+  validate(schemas.publishBlog),
+  blogController.publishBlog
+);
+
+router.put('/:id/unpublish', 
+  protect,
+  authorize('blogs:publish'),
+  validate(idParam),
+  blogController.unpublishBlog
+);
+
+router.put('/:id/archive', 
+  protect,
+  authorize('blogs:publish'),
+  validate(idParam),
+  blogController.archiveBlog
+);
+
+// Revision history
+router.get(
+  '/:id/revisions',
+  protect,
+  authorize('blogs:edit-any', 'blogs:edit-own'),
+  validate(idParam),
+  getRevisions
+);
+router.get(
+  '/:id/revisions/diff',
+  protect,
+  authorize('blogs:edit-any', 'blogs:edit-own'),
+  validate(schemas.diffRevisions),
+  diffRevisions
+);
+router.get(
+  '/:id/revisions/:version',
+  protect,
+  authorize('blogs:edit-any', 'blogs:edit-own'),
+  validate(schemas.getRevision),
+  getRevision
+);
+router.post(
+  '/:id/revisions/:version/restore',
+  protect,
+  authorize('blogs:edit-any', 'blogs:edit-own'),
+  validate(schemas.getRevision),
+  restoreRevision
+);
+
 // Image upload route
 router.put('/:id/image', 
   protect,
-  authorize('admin'),
-  upload.single('file'),
+  authorize('blogs:edit-any', 'blogs:edit-own'),
+  validate(idParam),
+  upload.singleImage('file'),
   blogController.uploadBlogImage
 );
 
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const advancedResults = require('../middleware/advancedResults');
+const validate = require('../middleware/validate');
+const { idParam } = require('../validators/common');
+const Comment = require('../models/Comment');
+const {
+  getComments,
+  moderateComment,
+  deleteComment
+} = require('../controllers/commentController');
+
+// Moderation queue (blog-facing routes live under /api/blogs/:blogId/comments)
+router.use(protect, authorize('comments:moderate'));
+
+router.get(
+  '/',
+  advancedResults(Comment, {
+    sort: 'createdAt',
+    select: '+authorEmail +ip',
+    populate: { path: 'blog', select: 'title slug' }
+  }),
+  getComments
+);
+router.put('/:id/approve', validate(idParam), moderateComment('approved'));
+router.put('/:id/reject', validate(idParam), moderateComment('rejected'));
+router.put('/:id/spam', validate(idParam), moderateComment('spam'));
+router.delete('/:id', validate(idParam), deleteComment);
+
+module.exports = router;
@@ -0,0 +1,78 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const advancedResults = require('../middleware/advancedResults');
+const validate = require('../middleware/validate');
+const Counselor = require('../models/Counselor');
+const {
+  getCounselors,
+  getCounselor,
+  createCounselor,
+  updateCounselor,
+  deleteCounselor,
+  getAvailability,
+  getSlots,
+  updateAvailability,
+  addException,
+  deleteException
+} = require('../controllers/counselorController');
+const schemas = require('../validators/counselorValidators');
+const { idParam } = require('../validators/common');
+
+// Public routes
+router.get(
+  '/',
+  advancedResults(Counselor, {
+    filter: req => ({
+      isActive: true,
+      ...(req.query.specialty && { specialties: req.query.specialty })
+    }),
+    sort: 'name',
+    select: Counselor.PUBLIC_FIELDS.join(' '),
+    fields: Counselor.PUBLIC_FIELDS
+  }),
+  getCounselors
+);
+router.get('/:id', validate(idParam), getCounselor);
+router.get('/:id/availability', validate(idParam), getAvailability);
+router.get('/:id/slots', validate(schemas.getSlots), getSlots);
+
+// Protected admin routes
+router.post(
+  '/',
+  protect,
+  authorize('counselors:manage'),
+  validate(schemas.createCounselor),
+  createCounselor
+);
+router.put(
+  '/:id',
+  protect,
+  authorize('counselors:manage'),
+  validate(schemas.updateCounselor),
+  updateCounselor
+);
+router.delete('/:id', protect, authorize('counselors:manage'), validate(idParam), deleteCounselor);
+router.put(
+  '/:id/availability',
+  protect,
+  authorize('counselors:manage'),
+  validate(schemas.updateAvailability),
+  updateAvailability
+);
+router.post(
+  '/:id/exceptions',
+  protect,
+  authorize('counselors:manage'),
+  validate(schemas.addException),
+  addException
+);
+router.delete(
+  '/:id/exceptions/:exceptionId',
+  protect,
+  authorize('counselors:manage'),
+  validate(schemas.deleteException),
+  deleteException
+);
+
+module.exports = router;
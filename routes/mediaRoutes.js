@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const advancedResults = require('../middleware/advancedResults');
+const validate = require('../middleware/validate');
+const upload = require('../utils/upload');
+const Media = require('../models/Media');
+const {
+  getMediaList,
+  getMediaTags,
+  getMedia,
+  getMediaUsage,
+  uploadMedia,
+  updateMedia,
+  deleteMedia
+} = require('../controllers/mediaController');
+const schemas = require('../validators/mediaValidators');
+const { idParam } = require('../validators/common');
+
+router.use(protect, authorize('media:manage'));
+
+router.get('/', advancedResults(Media, { select: '-__v' }), getMediaList);
+router.post('/', upload.singleImage('file'), validate(schemas.uploadMedia), uploadMedia);
+router.get('/tags', getMediaTags);
+router.get('/:id', validate(idParam), getMedia);
+router.get('/:id/usage', validate(idParam), getMediaUsage);
+router.put('/:id', validate(schemas.updateMedia), updateMedia);
+router.delete('/:id', validate(idParam), deleteMedia);
+
+module.exports = router;
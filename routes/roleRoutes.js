@@ -0,0 +1,28 @@
+// routes/roleRoutes.js
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const {
+  getPermissionList,
+  getRoles,
+  getRole,
+  createRole,
+  updateRole,
+  deleteRole,
+  assignRole
+} = require('../controllers/roleController');
+const schemas = require('../validators/roleValidators');
+const { idParam } = require('../validators/common');
+
+router.use(protect, authorize('roles:manage'));
+
+router.get('/permissions', getPermissionList);
+router.put('/assign', validate(schemas.assignRole), assignRole);
+router.get('/', getRoles);
+router.post('/', validate(schemas.createRole), createRole);
+router.get('/:id', validate(idParam), getRole);
+router.put('/:id', validate(schemas.updateRole), updateRole);
+router.delete('/:id', validate(idParam), deleteRole);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+// routes/userRoutes.js
+const express = require('express');
+const router = express.Router();
+const { protect, optionalAuth } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const {
+  register,
+  login,
+  getMe,
+  updateDetails,
+  updatePassword
+} = require('../controllers/userController');
+const { refreshToken, logout, logoutAll } = require('../controllers/sessionController');
+const {
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification
+} = require('../controllers/accountController');
+const User = require('../models/User');
+const schemas = require('../validators/userValidators');
+
+router.post('/register', validate(schemas.register), register);
+router.post('/login', validate(schemas.login), login);
+router.post('/forgotpassword', validate(schemas.forgotPassword), forgotPassword(User));
+router.put('/resetpassword/:token', validate(schemas.resetPassword), resetPassword);
+router.put('/verifyemail/:token', validate(schemas.verifyEmail), verifyEmail);
+router.post('/resendverification', protect, resendVerification);
+router.get('/me', protect, getMe);
+router.post('/refresh', validate(schemas.refreshToken), refreshToken);
+router.post('/logout', optionalAuth, validate(schemas.refreshToken), logout);
+// Kept for older clients; POST is preferred
+router.get('/logout', optionalAuth, logout);
+router.post('/logout-all', protect, logoutAll);
+router.put('/updatedetails', protect, validate(schemas.updateDetails), updateDetails);
+router.put('/updatepassword', protect, validate(schemas.updatePassword), updatePassword);
+
+module.exports = router;
@@ -3,31 +3,83 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
+const cookieParser = require('cookie-parser');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
 const connectDB = require('./config/db');
 const errorHandler = require('./middleware/error');
+const ErrorResponse = require('./utils/errorResponse');
+const jobs = require('./jobs');
+const { UPLOAD_DIR } = require('./utils/storage/localDriver');
+const { syncDefaultRoles } = require('./utils/permissions');
+const runMigrations = require('./migrations');
 
 const app = express();
 
 // Connect to database
 connectDB();
 
+// Bring the database up to date (queued until connected)
+runMigrations().catch(err => console.error('Migration failed:', err));
+
+// Create the built-in roles on a fresh database
+syncDefaultRoles().catch(err => console.error('Failed to create default roles:', err));
+
+// Background jobs (reminders etc.). Set JOBS_ENABLED=false on instances that
+// should only serve HTTP traffic.
+if (process.env.JOBS_ENABLED !== 'false') {
+  jobs.start();
+}
+
+// Behind a reverse proxy or load balancer req.ip is the proxy's address
+// unless Express is told to trust it. TRUST_PROXY takes what the
+// "trust proxy" setting does: a hop count, "true", or addresses/subnets
+// such as "loopback, 10.0.0.0/8".
+const parseTrustProxy = value => {
+  if (value === 'true' || value === 'false') return value === 'true';
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+}
+
+// Browsers may call the API with cookies from CORS_ORIGINS, a comma-separated
+// list of origins (default SITE_URL, the frontend). Sending the session
+// cookies to another site also needs COOKIE_SAME_SITE=none (see
+// utils/sessions.js).
+const corsOrigins = (process.env.CORS_ORIGINS || process.env.SITE_URL || 'https://coyolia.com')
+  .split(',')
+  .map(origin => origin.trim().replace(/\/$/, ''))
+  .filter(Boolean);
+
 // Middleware
-app.use(cors());
+app.use(cors({ origin: corsOrigins, credentials: true }));
 app.use(helmet());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
 
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again after 15 minutes'
+  message: {
+    success: false,
+    error: 'Too many requests from this IP, please try again after 15 minutes',
+    code: 'TOO_MANY_REQUESTS'
+  }
 });
 app.use(limiter);
 
-// Static files
+// Static files. Uploaded images are embedded by the frontend, which runs on
+// another origin, so they opt out of helmet's same-origin resource policy.
+app.use(
+  '/uploads',
+  express.static(UPLOAD_DIR, {
+    setHeaders: res => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+  })
+);
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Route loaders
@@ -50,8 +102,14 @@ const loadRouter = (routePath) => {
 // Load and mount routes
 const routeConfigs = [
   { path: './routes/authRoutes', basePath: '/api/v1/auth' },
+  { path: './routes/userRoutes', basePath: '/api/v1/users' },
+  { path: './routes/roleRoutes', basePath: '/api/v1/roles' },
   { path: './routes/blogRoutes', basePath: '/api/blogs' },
-  { path: './routes/appointmentRoutes', basePath: '/api/appointments' }
+  { path: './routes/commentRoutes', basePath: '/api/comments' },
+  { path: './routes/mediaRoutes', basePath: '/api/media' },
+  { path: './routes/appointmentRoutes', basePath: '/api/appointments' },
+  { path: './routes/counselorRoutes', basePath: '/api/counselors' },
+  { path: './routes/sitemapRoutes', basePath: '/' }
 ];
 
 routeConfigs.forEach(({ path, basePath }) => {
@@ -76,10 +134,7 @@ app.get('/api/health', (req, res) => {
 
 // 404 Handler
 app.use((req, res, next) => {
-  res.status(404).json({ 
-    success: false,
-    error: 'Endpoint not found'
-  });
+  next(new ErrorResponse('Endpoint not found', 404, { code: 'ROUTE_NOT_FOUND' }));
 });
 
 // Error handler (must be last middleware)
@@ -101,11 +156,11 @@ process.on('unhandledRejection', (err) => {
 // Clean shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received. Shutting down gracefully...');
-  server.close(() => {
-    mongoose.connection.close(false, () => {
-      console.log('MongoDB connection closed');
-      process.exit(0);
-    });
+  server.close(async () => {
+    await jobs.stop();
+    await mongoose.connection.close(false);
+    console.log('MongoDB connection closed');
+    process.exit(0);
   });
 });
 
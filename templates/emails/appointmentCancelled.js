@@ -0,0 +1,15 @@
+// templates/emails/appointmentCancelled.js
+module.exports = {
+  subject: 'Your Career Counseling Appointment Has Been Cancelled',
+  html: `<p>Hi {{recipientName}},</p>
+<p>Your {{typeLabel}} career counseling appointment with {{counselorName}} on <strong>{{when}}</strong> has been cancelled.</p>
+{{#reason}}<p>Reason: {{reason}}</p>{{/reason}}
+<p>You are welcome to book a new session at any time.</p>`,
+  text: `Hi {{recipientName}},
+
+Your {{typeLabel}} career counseling appointment with {{counselorName}} on {{when}} has been cancelled.
+{{#reason}}
+Reason: {{reason}}
+{{/reason}}
+You are welcome to book a new session at any time.`
+};
@@ -0,0 +1,12 @@
+// templates/emails/appointmentReminder.js
+module.exports = {
+  subject: 'Reminder: Career Counseling Appointment {{startsIn}}',
+  html: `<p>Hi {{recipientName}},</p>
+<p>This is a reminder that your {{typeLabel}} career counseling appointment with {{counselorName}} starts {{startsIn}}.</p>
+<p style="padding:12px 16px;background:#f0f4ff;border-radius:6px;"><strong>{{when}}</strong></p>`,
+  text: `Hi {{recipientName}},
+
+This is a reminder that your {{typeLabel}} career counseling appointment with {{counselorName}} starts {{startsIn}}.
+
+When: {{when}}`
+};
@@ -0,0 +1,22 @@
+// templates/emails/appointmentRescheduled.js
+module.exports = {
+  subject: 'Your Career Counseling Appointment Has Been Rescheduled',
+  html: `<p>Hi {{recipientName}},</p>
+<p>Your {{typeLabel}} career counseling appointment with {{counselorName}} has moved.</p>
+<p style="padding:12px 16px;background:#f0f4ff;border-radius:6px;">
+  <span style="text-decoration:line-through;color:#7b8794;">{{previousWhen}}</span><br>
+  <strong>{{when}}</strong>
+</p>
+{{#reason}}<p>Reason: {{reason}}</p>{{/reason}}
+{{#needsConfirmation}}<p>The new time will be confirmed by your counselor shortly.</p>{{/needsConfirmation}}`,
+  text: `Hi {{recipientName}},
+
+Your {{typeLabel}} career counseling appointment with {{counselorName}} has moved.
+
+Was: {{previousWhen}}
+Now: {{when}}
+{{#reason}}Reason: {{reason}}
+{{/reason}}{{#needsConfirmation}}
+The new time will be confirmed by your counselor shortly.
+{{/needsConfirmation}}`
+};
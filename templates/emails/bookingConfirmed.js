@@ -0,0 +1,17 @@
+// templates/emails/bookingConfirmed.js
+module.exports = {
+  subject: 'Career Counseling Appointment Confirmation',
+  html: `<p>Hi {{recipientName}},</p>
+<p>Your {{typeLabel}} career counseling appointment with {{counselorName}} has been scheduled.</p>
+<p style="padding:12px 16px;background:#f0f4ff;border-radius:6px;"><strong>{{when}}</strong></p>
+{{#notes}}<p>Notes: {{notes}}</p>{{/notes}}
+<p>If you need to change or cancel it, please do so at least {{cutoffHours}} hours in advance.</p>`,
+  text: `Hi {{recipientName}},
+
+Your {{typeLabel}} career counseling appointment with {{counselorName}} has been scheduled.
+
+When: {{when}}
+{{#notes}}Notes: {{notes}}
+{{/notes}}
+If you need to change or cancel it, please do so at least {{cutoffHours}} hours in advance.`
+};
@@ -0,0 +1,16 @@
+// templates/emails/emailVerification.js
+module.exports = {
+  subject: 'Confirm Your Coyolia Email Address',
+  html: `<p>Hi {{recipientName}},</p>
+<p>Please confirm that {{email}} is your email address. The link below expires in {{expiresInHours}} hours.</p>
+<p><a href="{{verifyUrl}}" style="display:inline-block;padding:10px 20px;background:#3b4cca;color:#ffffff;text-decoration:none;border-radius:6px;">Confirm email</a></p>
+<p style="font-size:13px;color:#7b8794;">If the button does not work, copy this address into your browser:<br>{{verifyUrl}}</p>
+<p>If you did not create an account or change your email, you can ignore this email.</p>`,
+  text: `Hi {{recipientName}},
+
+Please confirm that {{email}} is your email address. The link below expires in {{expiresInHours}} hours.
+
+{{verifyUrl}}
+
+If you did not create an account or change your email, you can ignore this email.`
+};
@@ -0,0 +1,16 @@
+// templates/emails/passwordReset.js
+module.exports = {
+  subject: 'Reset Your Coyolia Password',
+  html: `<p>Hi {{recipientName}},</p>
+<p>We received a request to reset your password. Use the link below to choose a new one. It expires in {{expiresInMinutes}} minutes and can only be used once.</p>
+<p><a href="{{resetUrl}}" style="display:inline-block;padding:10px 20px;background:#3b4cca;color:#ffffff;text-decoration:none;border-radius:6px;">Reset password</a></p>
+<p style="font-size:13px;color:#7b8794;">If the button does not work, copy this address into your browser:<br>{{resetUrl}}</p>
+<p>If you did not ask for this, you can ignore this email.</p>`,
+  text: `Hi {{recipientName}},
+
+We received a request to reset your password. Use the link below to choose a new one. It expires in {{expiresInMinutes}} minutes and can only be used once.
+
+{{resetUrl}}
+
+If you did not ask for this, you can ignore this email.`
+};
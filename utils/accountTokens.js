@@ -0,0 +1,113 @@
+// utils/accountTokens.js
+// Password reset and email verification links
+const crypto = require('crypto');
+const AccountToken = require('../models/AccountToken');
+const sendEmail = require('./emailService');
+const ErrorResponse = require('./errorResponse');
+
+const MINUTE_MS = 60 * 1000;
+
+const getResetExpireMinutes = () => Number(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30;
+const getVerificationExpireHours = () =>
+  Number(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+
+const getSiteUrl = () => (process.env.SITE_URL || 'https://coyolia.com').replace(/\/$/, '');
+
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Issue a new token, replacing any unused one for the same purpose
+const createToken = async (account, purpose, ttlMs, extra = {}) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const owner = { account: account._id, accountModel: account.constructor.modelName };
+
+  await AccountToken.deleteMany({ ...owner, purpose, usedAt: null });
+  await AccountToken.create({
+    ...owner,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+    ...extra
+  });
+
+  return token;
+};
+
+// Use up a token. Resolves to the token document with its account
+// populated, or null when it is unknown, expired or already used.
+const consumeToken = async (token, purpose) => {
+  const accountToken = await AccountToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: Date.now() },
+    { new: true }
+  ).populate('account');
+
+  return accountToken?.account ? accountToken : null;
+};
+
+const sendPasswordReset = async account => {
+  const expiresInMinutes = getResetExpireMinutes();
+  const token = await createToken(account, 'password-reset', expiresInMinutes * MINUTE_MS);
+  const baseUrl = process.env.PASSWORD_RESET_URL || `${getSiteUrl()}/reset-password`;
+
+  await sendEmail({
+    email: account.email,
+    template: 'passwordReset',
+    data: {
+      recipientName: account.name || 'there',
+      resetUrl: `${baseUrl}/${token}`,
+      expiresInMinutes
+    }
+  });
+};
+
+// Ask the owner of `email` (the account's address, or the one it is
+// changing to) to confirm it
+const sendEmailVerification = async (account, email = account.email) => {
+  const expiresInHours = getVerificationExpireHours();
+  const token = await createToken(
+    account,
+    'email-verification',
+    expiresInHours * 60 * MINUTE_MS,
+    { email }
+  );
+  const baseUrl = process.env.EMAIL_VERIFICATION_URL || `${getSiteUrl()}/verify-email`;
+
+  await sendEmail({
+    email,
+    template: 'emailVerification',
+    data: {
+      recipientName: account.name || 'there',
+      email,
+      verifyUrl: `${baseUrl}/${token}`,
+      expiresInHours
+    }
+  });
+};
+
+// Start changing an account's email. The new address is held in
+// pendingEmail and only replaces the current one once it is confirmed.
+const requestEmailChange = async (account, email) => {
+  if (!email || email === account.email) return;
+
+  const taken = await account.constructor.exists({ email, _id: { $ne: account._id } });
+
+  if (taken) {
+    throw new ErrorResponse('An account with that email already exists', 409);
+  }
+
+  account.pendingEmail = email;
+  await account.save();
+  await sendEmailVerification(account, email);
+};
+
+module.exports = {
+  consumeToken,
+  sendPasswordReset,
+  sendEmailVerification,
+  requestEmailChange
+};
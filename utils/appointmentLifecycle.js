@@ -0,0 +1,73 @@
+// utils/appointmentLifecycle.js
+const Counselor = require('../models/Counselor');
+const { can } = require('./permissions');
+
+// Allowed status changes. `from` lists the statuses an action may start in,
+// `to` is the resulting status (reschedule keeps or resets it, see
+// controller) and `roles` which parts (see getActorRole) may perform it.
+const TRANSITIONS = {
+  confirm: {
+    from: ['pending'],
+    to: 'confirmed',
+    roles: ['counselor', 'admin']
+  },
+  cancel: {
+    from: ['pending', 'confirmed'],
+    to: 'cancelled',
+    roles: ['client', 'counselor', 'admin']
+  },
+  reschedule: {
+    from: ['pending', 'confirmed'],
+    to: null,
+    roles: ['client', 'counselor', 'admin']
+  },
+  complete: {
+    from: ['confirmed'],
+    to: 'completed',
+    roles: ['counselor', 'admin']
+  },
+  'no-show': {
+    from: ['confirmed'],
+    to: 'no-show',
+    roles: ['counselor', 'admin']
+  }
+};
+
+// Hours before the start that clients can no longer cancel or reschedule
+const getCancellationCutoffHours = () =>
+  Number(process.env.CANCELLATION_CUTOFF_HOURS || 24);
+
+// The part the current user plays in an appointment: 'admin' (anyone with
+// appointments:manage), the 'counselor' it is booked with, the 'client' who
+// booked it, or null. A populated counselor or user that has since been
+// deleted comes back as null and matches nobody.
+const getActorRole = async (req, appointment) => {
+  const { user } = req;
+
+  if (can(req, 'appointments:manage')) {
+    return 'admin';
+  }
+
+  const counselorId = appointment.counselor?._id ?? appointment.counselor;
+
+  if (counselorId && can(req, 'appointments:counsel')) {
+    const counselor = await Counselor.findOne({ user: user._id }).select('_id');
+    if (counselor && counselor._id.equals(counselorId)) {
+      return 'counselor';
+    }
+  }
+
+  const userId = appointment.user?._id ?? appointment.user;
+
+  if (userId && userId.toString() === user.id) {
+    return 'client';
+  }
+
+  return null;
+};
+
+module.exports = {
+  TRANSITIONS,
+  getCancellationCutoffHours,
+  getActorRole
+};
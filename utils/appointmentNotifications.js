@@ -0,0 +1,100 @@
+// utils/appointmentNotifications.js
+const User = require('../models/User');
+const Counselor = require('../models/Counselor');
+const sendEmail = require('./emailService');
+const { toInstant } = require('./availability');
+const { getCancellationCutoffHours } = require('./appointmentLifecycle');
+const { buildCalendar } = require('./icalendar');
+
+const TYPE_LABELS = {
+  '15min': '15-minute',
+  '1hour': '1-hour'
+};
+
+// e.g. "Monday, May 12, 2025 at 10:00 AM GMT+5:30", in the counselor's zone
+const formatWhen = (date, time, timeZone) =>
+  new Intl.DateTimeFormat(process.env.EMAIL_LOCALE || 'en-US', {
+    timeZone,
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  }).format(toInstant(date, time, timeZone));
+
+// Build the sendEmail options for one of the appointment templates, one
+// per recipient, tagged with `recipient: 'client' | 'counselor'`. `extra` is
+// merged into the template data; pass `previous: { date, time }` for
+// reschedules and `calendarMethod: 'REQUEST' | 'CANCEL'` to attach an
+// .ics invite. Resolves to [] if the client or counselor no longer exists.
+const getAppointmentEmails = async (appointment, template, extra = {}) => {
+  const [user, counselor] = await Promise.all([
+    User.findById(appointment.user),
+    Counselor.findById(appointment.counselor)
+  ]);
+
+  if (!user || !counselor) {
+    return [];
+  }
+
+  const { previous, calendarMethod, ...rest } = extra;
+  const timeZone = counselor.timeZone || 'UTC';
+
+  const data = {
+    clientName: user.name,
+    counselorName: counselor.name,
+    typeLabel: TYPE_LABELS[appointment.type] || appointment.type,
+    when: formatWhen(appointment.date, appointment.time, timeZone),
+    previousWhen: previous && formatWhen(previous.date, previous.time, timeZone),
+    notes: appointment.notes,
+    cutoffHours: getCancellationCutoffHours(),
+    ...rest
+  };
+
+  const icalEvent = calendarMethod && {
+    method: calendarMethod,
+    filename: 'appointment.ics',
+    content: buildCalendar({
+      method: calendarMethod,
+      events: [{ appointment, counselor, user }]
+    })
+  };
+
+  return [
+    { recipient: 'client', email: user.email, name: user.name },
+    { recipient: 'counselor', email: counselor.email, name: counselor.name }
+  ].map(({ recipient, email, name }) => ({
+    recipient,
+    email,
+    template,
+    data: { ...data, recipientName: name },
+    icalEvent
+  }));
+};
+
+// Email both the client and the counselor about an appointment. Failures
+// are logged, not thrown, so a mail outage never fails the request that
+// triggered it.
+const notifyAppointment = async (appointment, template, extra = {}) => {
+  try {
+    const emails = await getAppointmentEmails(appointment, template, extra);
+
+    await Promise.all(
+      emails.map(email =>
+        sendEmail(email).catch(err => {
+          console.error(`Email could not be sent to ${email.email}:`, err.message);
+        })
+      )
+    );
+  } catch (err) {
+    console.error('Appointment notification failed:', err.message);
+  }
+};
+
+module.exports = {
+  formatWhen,
+  getAppointmentEmails,
+  notifyAppointment
+};
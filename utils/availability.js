@@ -0,0 +1,201 @@
+// utils/availability.js
+// Counselor schedules are stored as wall-clock "HH:mm" strings in the
+// counselor's own time zone, and appointment dates as the calendar day at
+// UTC midnight, so all arithmetic here is done in minutes since midnight.
+
+// Length of each appointment type in minutes
+const APPOINTMENT_DURATIONS = {
+  '15min': 15,
+  '1hour': 60
+};
+
+// Spacing between bookable start times in minutes
+const SLOT_INTERVAL = 15;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const toMinutes = time => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const toTimeString = minutes => {
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  const mins = String(minutes % 60).padStart(2, '0');
+  return `${hours}:${mins}`;
+};
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// 'YYYY-MM-DD' key for a calendar day
+const getDateKey = date => new Date(date).toISOString().slice(0, 10);
+
+// Whether a string is a 'YYYY-MM-DD' day that exists; Date rolls
+// 2024-02-31 over to March, so the key must come back unchanged
+const isValidDateKey = value =>
+  DATE_KEY_PATTERN.test(value) &&
+  !Number.isNaN(new Date(value).getTime()) &&
+  getDateKey(value) === value;
+
+const coversDay = (exception, dateKey) =>
+  getDateKey(exception.startDate) <= dateKey &&
+  dateKey <= getDateKey(exception.endDate || exception.startDate);
+
+// Remove a blocked window from a list of open windows
+const subtractWindow = (windows, [blockStart, blockEnd]) =>
+  windows.flatMap(([start, end]) => {
+    if (blockEnd <= start || blockStart >= end) {
+      return [[start, end]];
+    }
+    const remaining = [];
+    if (blockStart > start) remaining.push([start, blockStart]);
+    if (blockEnd < end) remaining.push([blockEnd, end]);
+    return remaining;
+  });
+
+// Sort and merge touching/overlapping windows
+const mergeWindows = windows =>
+  [...windows]
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, [start, end]) => {
+      const last = merged[merged.length - 1];
+      if (last && start <= last[1]) {
+        last[1] = Math.max(last[1], end);
+      } else {
+        merged.push([start, end]);
+      }
+      return merged;
+    }, []);
+
+// Open [start, end) windows in minutes for a counselor on a given day, after
+// applying weekly hours and any date-specific exceptions
+const getAvailableWindows = (counselor, date) => {
+  const day = new Date(date);
+  const dateKey = getDateKey(day);
+  const exceptions = (counselor.exceptions || []).filter(exception =>
+    coversDay(exception, dateKey)
+  );
+
+  if (exceptions.some(exception => !exception.isAvailable && !exception.startTime)) {
+    return [];
+  }
+
+  let windows = (counselor.weeklyAvailability || [])
+    .filter(slot => slot.dayOfWeek === day.getUTCDay())
+    .map(slot => [toMinutes(slot.startTime), toMinutes(slot.endTime)]);
+
+  exceptions
+    .filter(exception => exception.isAvailable)
+    .forEach(exception => {
+      windows.push([toMinutes(exception.startTime), toMinutes(exception.endTime)]);
+    });
+
+  windows = mergeWindows(windows);
+
+  exceptions
+    .filter(exception => !exception.isAvailable)
+    .forEach(exception => {
+      windows = subtractWindow(windows, [
+        toMinutes(exception.startTime),
+        toMinutes(exception.endTime)
+      ]);
+    });
+
+  return windows;
+};
+
+// Whether two [start, end) minute ranges overlap
+const overlaps = ([startA, endA], [startB, endB]) => startA < endB && startB < endA;
+
+// Minute range an appointment occupies on its day
+const getAppointmentWindow = appointment => {
+  const start = toMinutes(appointment.time);
+  return [start, start + APPOINTMENT_DURATIONS[appointment.type]];
+};
+
+// Start times ("HH:mm") on `date` where a booking of `duration` minutes fits
+// in the counselor's open hours without touching any of the `booked` ranges.
+// Candidates are spaced `interval` minutes apart from each window's start.
+const getOpenSlots = (counselor, date, duration, booked = [], interval = SLOT_INTERVAL) => {
+  const slots = [];
+
+  getAvailableWindows(counselor, date).forEach(([windowStart, windowEnd]) => {
+    for (let start = windowStart; start + duration <= windowEnd; start += interval) {
+      const candidate = [start, start + duration];
+      if (!booked.some(range => overlaps(candidate, range))) {
+        slots.push(toTimeString(start));
+      }
+    }
+  });
+
+  return slots;
+};
+
+// Current calendar day and minute of the day in the given time zone
+const getZonedNow = (timeZone, now = new Date()) => {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  })
+    .formatToParts(now)
+    .reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+
+  return {
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+};
+
+// Real instant of a wall-clock day and time in the given time zone
+const toInstant = (date, time, timeZone) => {
+  const wallClock = new Date(`${getDateKey(date)}T${time}:00Z`).getTime();
+
+  // Offset of the zone at a given instant, in ms
+  const offsetAt = instant => {
+    const { dateKey, minutes } = getZonedNow(timeZone, new Date(instant));
+    const seconds = new Date(instant).getUTCSeconds() * 1000;
+    return new Date(`${dateKey}T${toTimeString(minutes)}:00Z`).getTime() + seconds - instant;
+  };
+
+  // Apply the offset twice so times next to a DST switch settle correctly
+  let instant = wallClock - offsetAt(wallClock);
+  instant = wallClock - offsetAt(instant);
+
+  return new Date(instant);
+};
+
+// Whether a booking of `duration` minutes starting at `time` fits entirely
+// inside the counselor's open hours on `date`
+const isWithinAvailability = (counselor, date, time, duration) => {
+  if (!TIME_PATTERN.test(time) || Number.isNaN(new Date(date).getTime())) {
+    return false;
+  }
+
+  const start = toMinutes(time);
+  const end = start + duration;
+
+  return getAvailableWindows(counselor, date).some(
+    ([windowStart, windowEnd]) => start >= windowStart && end <= windowEnd
+  );
+};
+
+module.exports = {
+  APPOINTMENT_DURATIONS,
+  TIME_PATTERN,
+  toMinutes,
+  toTimeString,
+  getDateKey,
+  isValidDateKey,
+  getAvailableWindows,
+  getAppointmentWindow,
+  getOpenSlots,
+  getZonedNow,
+  overlaps,
+  toInstant,
+  isWithinAvailability
+};
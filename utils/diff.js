@@ -0,0 +1,60 @@
+// utils/diff.js
+
+// Above this many line pairs the LCS table gets too big to hold in memory,
+// and the diff degrades to "everything removed, everything added"
+const MAX_CELLS = 5000000;
+
+// Line-by-line diff of two texts using the longest common subsequence.
+// Returns [{ type: 'equal' | 'added' | 'removed', line }] in reading order.
+const diffLines = (before = '', after = '') => {
+  const a = String(before).split('\n');
+  const b = String(after).split('\n');
+
+  if (a.length * b.length > MAX_CELLS) {
+    return [
+      ...a.map(line => ({ type: 'removed', line })),
+      ...b.map(line => ({ type: 'added', line }))
+    ];
+  }
+
+  // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      changes.push({ type: 'equal', line: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      changes.push({ type: 'removed', line: a[i++] });
+    } else {
+      changes.push({ type: 'added', line: b[j++] });
+    }
+  }
+
+  while (i < a.length) changes.push({ type: 'removed', line: a[i++] });
+  while (j < b.length) changes.push({ type: 'added', line: b[j++] });
+
+  return changes;
+};
+
+// Items added to and removed from a list, e.g. tags
+const diffList = (before = [], after = []) => ({
+  added: after.filter(item => !before.includes(item)),
+  removed: before.filter(item => !after.includes(item))
+});
+
+module.exports = {
+  diffLines,
+  diffList
+};
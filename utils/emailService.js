@@ -1,27 +1,90 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
 const nodemailer = require('nodemailer');
+const { renderEmail } = require('./emailTemplates');
 
+// EMAIL_TRANSPORT picks where mail goes:
+//   smtp   (default) deliver through EMAIL_HOST
+//   outbox write each message to EMAIL_OUTBOX_DIR as .eml, .html and .txt
+//          files so they can be inspected in development and tests
+const OUTBOX_DIR = path.resolve(process.env.EMAIL_OUTBOX_DIR || 'outbox');
+
+let transporter;
+
+const getTransporter = () => {
+  if (transporter) return transporter;
+
+  if (process.env.EMAIL_TRANSPORT === 'outbox') {
+    // Builds the full MIME message without sending it anywhere
+    transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+  } else {
+    transporter = nodemailer.createTransport({
+      host: process.env.EMAIL_HOST,
+      port: process.env.EMAIL_PORT,
+      auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS
+      }
+    });
+  }
+
+  return transporter;
+};
+
+const writeToOutbox = async (mailOptions, info) => {
+  await fs.mkdir(OUTBOX_DIR, { recursive: true });
+
+  const slug = mailOptions.subject
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, 60);
+  // Random suffix so messages sent in the same millisecond don't collide;
+  // 'wx' fails rather than overwrite if they somehow still do
+  const suffix = crypto.randomBytes(4).toString('hex');
+  const base = path.join(OUTBOX_DIR, `${Date.now()}-${suffix}-${slug}`);
+  const write = (file, data) => fs.writeFile(file, data, { flag: 'wx' });
+
+  await Promise.all([
+    write(`${base}.eml`, info.message),
+    mailOptions.html && write(`${base}.html`, mailOptions.html),
+    mailOptions.text && write(`${base}.txt`, mailOptions.text)
+  ]);
+
+  return `${base}.eml`;
+};
+
+// options.email      recipient
+// options.template   name of a template in templates/emails, rendered with
+//                    options.data; otherwise options.subject plus
+//                    options.message (text) and/or options.html are sent
+// options.attachments, options.icalEvent  passed through to nodemailer
 const sendEmail = async options => {
-  // 1) Create a transporter
-  const transporter = nodemailer.createTransport({
-    host: process.env.EMAIL_HOST,
-    port: process.env.EMAIL_PORT,
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS
-    }
-  });
+  // 1) Build the content
+  const content = options.template
+    ? renderEmail(options.template, options.data)
+    : { subject: options.subject, text: options.message, html: options.html };
 
   // 2) Define the email options
   const mailOptions = {
-    from: 'Coyolia <noreply@coyolia.com>',
+    from: process.env.EMAIL_FROM || 'Coyolia <noreply@coyolia.com>',
     to: options.email,
-    subject: options.subject,
-    text: options.message
-    // html: options.html (if you want to send HTML emails)
+    subject: content.subject,
+    text: content.text,
+    html: content.html,
+    attachments: options.attachments,
+    icalEvent: options.icalEvent
   };
 
   // 3) Actually send the email
-  await transporter.sendMail(mailOptions);
+  const info = await getTransporter().sendMail(mailOptions);
+
+  if (process.env.EMAIL_TRANSPORT === 'outbox') {
+    info.outboxPath = await writeToOutbox(mailOptions, info);
+  }
+
+  return info;
 };
 
-module.exports = sendEmail;
\ No newline at end of file
+module.exports = sendEmail;
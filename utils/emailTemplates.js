@@ -0,0 +1,49 @@
+// utils/emailTemplates.js
+const layout = require('../templates/emails/layout');
+const { escapeHtml } = require('./html');
+
+const templates = {
+  bookingConfirmed: require('../templates/emails/bookingConfirmed'),
+  appointmentRescheduled: require('../templates/emails/appointmentRescheduled'),
+  appointmentCancelled: require('../templates/emails/appointmentCancelled'),
+  appointmentReminder: require('../templates/emails/appointmentReminder'),
+  passwordReset: require('../templates/emails/passwordReset'),
+  emailVerification: require('../templates/emails/emailVerification')
+};
+
+// Minimal mustache-style rendering:
+//   {{name}}               value, HTML-escaped when `escape` is set
+//   {{{name}}}             value, never escaped
+//   {{#name}}...{{/name}}  block kept only when the value is truthy
+const render = (template, data, escape) =>
+  template
+    .replace(/{{#(\w+)}}([\s\S]*?){{\/\1}}/g, (match, key, block) =>
+      data[key] ? block : ''
+    )
+    .replace(/{{{(\w+)}}}/g, (match, key) => (data[key] == null ? '' : String(data[key])))
+    .replace(/{{(\w+)}}/g, (match, key) => {
+      if (data[key] == null) return '';
+      return escape ? escapeHtml(data[key]) : String(data[key]);
+    });
+
+// Render a named template into { subject, html, text }
+const renderEmail = (name, data = {}) => {
+  const template = templates[name];
+
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const subject = render(template.subject, data, false);
+  const body = render(template.html, data, true);
+
+  return {
+    subject,
+    html: render(layout, { subject: escapeHtml(subject), body }, false),
+    text: render(template.text, data, false)
+  };
+};
+
+module.exports = {
+  renderEmail
+};
@@ -1,10 +1,94 @@
 // utils/errorResponse.js
+
+// Machine-readable code sent with each status unless a more specific one is
+// given. Clients should branch on `code`, never on the message.
+const DEFAULT_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  429: 'TOO_MANY_REQUESTS',
+  500: 'SERVER_ERROR'
+};
+
+// Errors thrown by Mongoose/MongoDB and the body parsers, turned into
+// responses the client can act on
+const fromKnownError = err => {
+  if (err.name === 'CastError') {
+    return new ErrorResponse(`Invalid ${err.path}: ${err.value}`, 400, {
+      code: err.kind === 'ObjectId' ? 'INVALID_ID' : 'INVALID_VALUE',
+      details: [{ field: err.path, message: `Invalid ${err.kind || 'value'}` }]
+    });
+  }
+
+  if (err.name === 'ValidationError' && err.errors) {
+    return new ErrorResponse('Validation failed', 400, {
+      code: 'VALIDATION_ERROR',
+      details: Object.values(err.errors).map(fieldErr => ({
+        field: fieldErr.path,
+        message: fieldErr.name === 'CastError'
+          ? `Invalid ${fieldErr.kind || 'value'}`
+          : fieldErr.message
+      }))
+    });
+  }
+
+  if (err.code === 11000) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+
+    // Compound unique indexes (e.g. one booking per counselor, date and
+    // time) clash on the combination, not on any one field
+    const message = fields.length > 1
+      ? `A record with the same ${fields.join(', ')} already exists`
+      : `${fields[0] || 'Value'} is already in use`;
+
+    return new ErrorResponse(message, 409, {
+      code: 'DUPLICATE_KEY',
+      details: fields.map(field => ({ field, message }))
+    });
+  }
+
+  if (err.type === 'entity.parse.failed') {
+    return new ErrorResponse('Malformed JSON in request body', 400, { code: 'INVALID_JSON' });
+  }
+
+  // http-errors from body-parser and friends (413, 415, ...)
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return new ErrorResponse(err.message, err.status);
+  }
+
+  return null;
+};
+
 class ErrorResponse extends Error {
-    constructor(message, statusCode) {
-      super(message);
-      this.statusCode = statusCode;
-      Error.captureStackTrace(this, this.constructor);
-    }
-  }
-  
-  module.exports = ErrorResponse;
\ No newline at end of file
+  // options.code     specific machine-readable code (defaults by status)
+  // options.details  extra data for the client, e.g. per-field messages
+  // options.headers  response headers to send with it (e.g. Retry-After)
+  constructor(message, statusCode, { code, details, headers } = {}) {
+    super(message);
+    this.statusCode = statusCode;
+    this.code = code || DEFAULT_CODES[statusCode] || (statusCode >= 500 ? 'SERVER_ERROR' : 'ERROR');
+    this.details = details;
+    this.headers = headers;
+    Error.captureStackTrace(this, this.constructor);
+  }
+
+  // The ErrorResponse to send for any error: ErrorResponses as they are,
+  // known library errors mapped to 4xx, anything else a 500 with
+  // `fallbackMessage` (the original is kept as `cause` for logging)
+  static from(err, fallbackMessage = 'Server Error') {
+    if (err instanceof ErrorResponse) return err;
+
+    const known = fromKnownError(err);
+    if (known) return known;
+
+    const serverError = new ErrorResponse(fallbackMessage, 500);
+    serverError.cause = err;
+    return serverError;
+  }
+}
+
+module.exports = ErrorResponse;
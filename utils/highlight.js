@@ -0,0 +1,67 @@
+// utils/highlight.js
+const { escapeHtml } = require('./html');
+
+const SNIPPET_LENGTH = 200;
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Words of a search query worth highlighting, quotes and negations removed
+const getSearchTerms = query =>
+  String(query)
+    .split(/\s+/)
+    .filter(term => term && !term.startsWith('-'))
+    .map(term => term.replace(/["']/g, ''))
+    .filter(term => term.length > 1);
+
+const termsPattern = terms =>
+  terms.length
+    ? new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi')
+    : null;
+
+// Plain text from stored content, without HTML tags or Markdown symbols
+const toPlainText = text =>
+  String(text || '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/[#*_`>~\[\]()!|-]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// HTML-safe copy of `text` with every term wrapped in <mark>
+const highlight = (text, terms) => {
+  const pattern = termsPattern(terms);
+  if (!pattern) return escapeHtml(text || '');
+
+  // Splitting on a capturing pattern puts the matches at the odd indexes
+  return String(text || '')
+    .split(pattern)
+    .map((part, index) => (index % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+};
+
+// Up to SNIPPET_LENGTH characters of `text` around the first term found,
+// highlighted
+const buildSnippet = (text, terms, length = SNIPPET_LENGTH) => {
+  const plain = toPlainText(text);
+  const pattern = termsPattern(terms);
+  const match = pattern ? pattern.exec(plain) : null;
+
+  let start = 0;
+  if (match) {
+    start = Math.max(0, match.index - Math.floor(length / 3));
+    // Don't start mid-word
+    const space = plain.lastIndexOf(' ', start);
+    start = start === 0 || space === -1 ? start : space + 1;
+  }
+
+  const end = Math.min(plain.length, start + length);
+  const snippet = plain.slice(start, end);
+
+  return `${start > 0 ? '… ' : ''}${highlight(snippet, terms)}${end < plain.length ? ' …' : ''}`;
+};
+
+module.exports = {
+  getSearchTerms,
+  highlight,
+  buildSnippet,
+  toPlainText
+};
@@ -0,0 +1,14 @@
+// utils/html.js
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+const escapeHtml = value => String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+module.exports = {
+  escapeHtml
+};
@@ -0,0 +1,116 @@
+// utils/icalendar.js
+// Just enough RFC 5545 to describe appointments as calendar events.
+const { APPOINTMENT_DURATIONS, toInstant } = require('./availability');
+
+const PRODID = '-//Coyolia//Career Counseling//EN';
+const MINUTE_MS = 60 * 1000;
+
+const STATUS_MAP = {
+  pending: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  'no-show': 'CONFIRMED',
+  cancelled: 'CANCELLED'
+};
+
+// Control characters other than tab are not allowed in property values
+// (3.1), and a stray CR or LF would start a property of its own
+const stripControl = value => String(value).replace(/[\x00-\x08\x0a-\x1f\x7f]/g, '');
+
+// TEXT values escape backslashes, separators and newlines (3.3.11)
+const escapeText = value =>
+  stripControl(
+    String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r\n|\r|\n/g, '\\n')
+  );
+
+// 20250512T043000Z
+const formatDateTime = date => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets are folded onto continuation lines that
+// start with a space (3.1)
+const foldLine = line => {
+  const chunks = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = chunks.length ? 74 : 75;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+// Parameter values are quoted, and may not contain quotes themselves (3.2)
+const quoteParam = value => `"${stripControl(value).replace(/"/g, '')}"`;
+
+const serialize = lines => lines.map(foldLine).join('\r\n') + '\r\n';
+
+// Stable across reschedules and cancellation so calendars update the same event
+const getEventUid = appointment =>
+  `appointment-${appointment._id}@${process.env.ICS_UID_DOMAIN || 'coyolia.com'}`;
+
+// VEVENT lines for an appointment. `counselor` and `user` are the documents
+// the appointment refers to.
+const buildEventLines = (appointment, counselor, user) => {
+  const startsAt = toInstant(appointment.date, appointment.time, counselor.timeZone || 'UTC');
+  const endsAt = new Date(
+    startsAt.getTime() + APPOINTMENT_DURATIONS[appointment.type] * MINUTE_MS
+  );
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${getEventUid(appointment)}`,
+    // Every status change bumps the sequence so clients apply the latest
+    `SEQUENCE:${Math.max(appointment.statusHistory.length - 1, 0)}`,
+    `DTSTAMP:${formatDateTime(new Date())}`,
+    `DTSTART:${formatDateTime(startsAt)}`,
+    `DTEND:${formatDateTime(endsAt)}`,
+    `SUMMARY:${escapeText(`Career counseling: ${user.name} with ${counselor.name}`)}`,
+    `STATUS:${STATUS_MAP[appointment.status] || 'TENTATIVE'}`,
+    `ORGANIZER;CN=${quoteParam(counselor.name)}:mailto:${counselor.email}`,
+    `ATTENDEE;CN=${quoteParam(user.name)};ROLE=REQ-PARTICIPANT:mailto:${user.email}`
+  ];
+
+  if (appointment.notes) {
+    lines.push(`DESCRIPTION:${escapeText(appointment.notes)}`);
+  }
+
+  if (appointment.updatedAt) {
+    lines.push(`LAST-MODIFIED:${formatDateTime(new Date(appointment.updatedAt))}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// A VCALENDAR document. `method` is REQUEST or CANCEL for invites sent by
+// email (RFC 5546) and PUBLISH for subscribed feeds. `events` is a list of
+// { appointment, counselor, user }.
+const buildCalendar = ({ method = 'PUBLISH', name, events }) => {
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODID}`, `METHOD:${method}`];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  events.forEach(({ appointment, counselor, user }) => {
+    lines.push(...buildEventLines(appointment, counselor, user));
+  });
+
+  lines.push('END:VCALENDAR');
+  return serialize(lines);
+};
+
+module.exports = {
+  buildCalendar,
+  getEventUid
+};
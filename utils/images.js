@@ -0,0 +1,129 @@
+// utils/images.js
+const sharp = require('sharp');
+
+// Signatures of the image formats we accept. The client-supplied mimetype
+// and file extension are never trusted.
+const SIGNATURES = [
+  { format: 'jpeg', contentType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { format: 'png', contentType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { format: 'gif', contentType: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  // "RIFF" .... "WEBP"
+  { format: 'webp', contentType: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46], offset: 8, tail: [0x57, 0x45, 0x42, 0x50] }
+];
+
+// Responsive widths; an image is never scaled up to reach one
+const VARIANT_WIDTHS = [320, 640, 1024, 1600];
+const THUMBNAIL_SIZE = 150;
+
+const matches = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length &&
+  bytes.every((byte, i) => buffer[offset + i] === byte);
+
+// Identify an image from its leading bytes. Returns { format, contentType }
+// or null when the buffer isn't a supported image.
+const detectImageType = buffer => {
+  if (!Buffer.isBuffer(buffer)) return null;
+
+  const signature = SIGNATURES.find(sig =>
+    matches(buffer, sig.bytes) && (!sig.tail || matches(buffer, sig.tail, sig.offset))
+  );
+
+  return signature
+    ? { format: signature.format, contentType: signature.contentType }
+    : null;
+};
+
+const encode = (pipeline, format) => {
+  switch (format) {
+    case 'jpeg':
+      return pipeline.jpeg({ quality: 82, mozjpeg: true });
+    case 'png':
+      return pipeline.png({ compressionLevel: 9 });
+    default:
+      return pipeline.webp({ quality: 80 });
+  }
+};
+
+const invalidImage = message => {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+};
+
+const buildImages = async (buffer, type) => {
+  const rotated = sharp(buffer, { failOn: 'error' }).rotate();
+  let original;
+
+  if (type.format === 'gif') {
+    // Re-encoding would drop the animation; GIFs carry no EXIF anyway
+    const { width, height } = await sharp(buffer).metadata();
+    original = { buffer, width, height };
+  } else {
+    const { data, info } = await encode(rotated.clone(), type.format).toBuffer({
+      resolveWithObject: true
+    });
+    original = { buffer: data, width: info.width, height: info.height };
+  }
+
+  const variantFormat = type.format === 'gif' ? 'webp' : type.format;
+  const variantType = `image/${variantFormat}`;
+  const widths = VARIANT_WIDTHS.filter(width => width < original.width);
+  const variants = [];
+
+  for (const width of widths) {
+    const { data, info } = await encode(
+      rotated.clone().resize({ width, withoutEnlargement: true }),
+      variantFormat
+    ).toBuffer({ resolveWithObject: true });
+
+    variants.push({
+      name: `w${width}`,
+      buffer: data,
+      contentType: variantType,
+      width: info.width,
+      height: info.height
+    });
+  }
+
+  const thumbnail = await encode(
+    rotated.clone().resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' }),
+    variantFormat
+  ).toBuffer({ resolveWithObject: true });
+
+  variants.push({
+    name: 'thumbnail',
+    buffer: thumbnail.data,
+    contentType: variantType,
+    width: thumbnail.info.width,
+    height: thumbnail.info.height
+  });
+
+  return {
+    original: { ...original, format: type.format, contentType: type.contentType },
+    variants
+  };
+};
+
+// Normalise an uploaded image and build its variants. The original is
+// rotated upright and stripped of metadata (EXIF location etc.); variants
+// are re-encoded in the same format, except GIFs which become WebP.
+// Throws an error with statusCode 400 when the buffer isn't a usable image.
+const processImage = async buffer => {
+  const type = detectImageType(buffer);
+
+  if (!type) {
+    throw invalidImage('Unsupported image type');
+  }
+
+  try {
+    return await buildImages(buffer, type);
+  } catch (err) {
+    // Right signature, but libvips couldn't decode it
+    throw invalidImage(err.message);
+  }
+};
+
+module.exports = {
+  detectImageType,
+  processImage
+};
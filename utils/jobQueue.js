@@ -0,0 +1,157 @@
+// utils/jobQueue.js
+const os = require('os');
+const Job = require('../models/Job');
+
+const handlers = {};
+const workerId = `${os.hostname()}:${process.pid}`;
+
+let timer = null;
+let running = false;
+let stopping = false;
+
+const getPollInterval = () => Number(process.env.JOB_POLL_INTERVAL_MS || 5000);
+
+// A job left "running" this long is assumed to belong to a worker that died
+const getLockTimeout = () => Number(process.env.JOB_LOCK_TIMEOUT_MS || 10 * 60 * 1000);
+
+// Exponential backoff between attempts: 1, 2, 4, 8... minutes
+const getRetryDelay = attempts =>
+  Number(process.env.JOB_RETRY_BASE_MS || 60 * 1000) * 2 ** (attempts - 1);
+
+// Register the function that runs jobs called `name`. It receives the job
+// document and should throw to have the job retried.
+const registerHandler = (name, handler) => {
+  handlers[name] = handler;
+};
+
+// Queue a job. With `key`, an already queued job with the same key is
+// replaced rather than duplicated.
+const schedule = async (name, data = {}, { runAt = new Date(), key, maxAttempts } = {}) => {
+  const fields = { name, data, runAt, updatedAt: Date.now() };
+  if (maxAttempts) fields.maxAttempts = maxAttempts;
+
+  if (!key) {
+    return Job.create(fields);
+  }
+
+  return Job.findOneAndUpdate(
+    { key, status: 'queued' },
+    { $set: fields, $setOnInsert: { key, attempts: 0, createdAt: Date.now() } },
+    { upsert: true, new: true }
+  );
+};
+
+// Cancel queued jobs matching a filter, e.g. { key: /^appointment-reminder:123:/ }
+const cancel = filter =>
+  Job.updateMany(
+    { ...filter, status: 'queued' },
+    { $set: { status: 'cancelled', finishedAt: Date.now(), updatedAt: Date.now() } }
+  );
+
+// Atomically take the next due job, including ones stuck with a dead worker
+const claimNext = () => {
+  const now = Date.now();
+
+  return Job.findOneAndUpdate(
+    {
+      name: { $in: Object.keys(handlers) },
+      $or: [
+        { status: 'queued', runAt: { $lte: new Date(now) } },
+        { status: 'running', lockedAt: { $lte: new Date(now - getLockTimeout()) } }
+      ]
+    },
+    {
+      $set: { status: 'running', lockedAt: new Date(now), lockedBy: workerId, updatedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+// A keyed job re-queued for a retry would clash with a newer copy queued
+// by schedule() while it ran. The newer copy wins; this one is cancelled.
+const isSuperseded = job =>
+  job.key && Job.exists({ key: job.key, status: 'queued', _id: { $ne: job._id } });
+
+const runJob = async job => {
+  try {
+    await handlers[job.name](job);
+
+    job.set({ status: 'completed', completedAt: Date.now(), lockedAt: null, lockedBy: null });
+  } catch (err) {
+    const retry = job.attempts < job.maxAttempts;
+    const superseded = retry && (await isSuperseded(job));
+
+    console.error(
+      `Job ${job.name} (${job._id}) failed on attempt ${job.attempts}/${job.maxAttempts}:`,
+      err.message
+    );
+
+    job.set({
+      status: superseded ? 'cancelled' : retry ? 'queued' : 'failed',
+      runAt:
+        retry && !superseded ? new Date(Date.now() + getRetryDelay(job.attempts)) : job.runAt,
+      lastError: err.message,
+      lockedAt: null,
+      lockedBy: null
+    });
+  }
+
+  job.updatedAt = Date.now();
+  if (job.status !== 'queued') job.finishedAt = job.updatedAt;
+
+  try {
+    await job.save();
+  } catch (err) {
+    // The newer copy was queued between the check above and this save
+    if (err.code !== 11000) throw err;
+
+    job.set({ status: 'cancelled', finishedAt: Date.now() });
+    await job.save();
+  }
+};
+
+// Run every due job, one after another
+const poll = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    let job;
+    while (!stopping && (job = await claimNext())) {
+      await runJob(job);
+    }
+  } catch (err) {
+    console.error('Job queue poll failed:', err.message);
+  } finally {
+    running = false;
+  }
+};
+
+const start = () => {
+  if (timer) return;
+
+  stopping = false;
+  timer = setInterval(poll, getPollInterval());
+  timer.unref();
+  console.log(`Job queue started as ${workerId}`);
+};
+
+// Stop polling and wait for the job in progress to finish
+const stop = async () => {
+  stopping = true;
+  clearInterval(timer);
+  timer = null;
+
+  while (running) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+};
+
+module.exports = {
+  registerHandler,
+  schedule,
+  cancel,
+  start,
+  stop
+};
@@ -0,0 +1,261 @@
+// utils/loginGuard.js
+// Password checks for the admin and user logins, with brute-force
+// protection:
+//   - each failed attempt is written to LoginAttempt
+//   - an IP with LOGIN_IP_MAX_FAILURES (default 20) failures in
+//     LOGIN_IP_WINDOW_MINUTES (default 15) is refused until they age out
+//   - from the LOGIN_DELAY_AFTER-th (default 3) consecutive failure on an
+//     account, the next attempt must wait 1s, 2s, 4s...
+//   - LOGIN_MAX_ATTEMPTS (default 5) failures lock the account for
+//     LOGIN_LOCK_MINUTES (default 15), or until an admin unlocks it
+//   - wrong two-factor codes count the same as wrong passwords
+// IPs come from req.ip. Behind a proxy or load balancer set TRUST_PROXY (see
+// server.js), or every visitor shares the proxy's IP and one attacker
+// blocks logins for everyone.
+// Unknown emails still cost a bcrypt comparison, and are delayed and locked
+// like accounts, so responses don't reveal which accounts exist.
+const bcrypt = require('bcryptjs');
+const LoginAttempt = require('../models/LoginAttempt');
+const ErrorResponse = require('./errorResponse');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const MAX_DELAY_SECONDS = 60;
+
+const getSetting = (name, fallback) => Number(process.env[name]) || fallback;
+
+// Compared against when there is no account, to take as long as a real check
+const DUMMY_HASH = bcrypt.hashSync('not-a-real-password', 10);
+
+const invalidCredentials = () => new ErrorResponse('Invalid credentials', 401);
+
+// 429 telling the client when to come back
+const tooManyAttempts = (message, code, until) => {
+  const retryAfter = Math.max(1, Math.ceil((until - Date.now()) / 1000));
+
+  return new ErrorResponse(message, 429, {
+    code,
+    details: { retryAfter },
+    headers: { 'Retry-After': String(retryAfter) }
+  });
+};
+
+// Attempts that actually tried credentials. Rows written while an IP or
+// account was already refused don't count, or retrying would extend the
+// block forever.
+const CREDENTIAL_FAILURES = ['unknown-account', 'bad-password', 'bad-two-factor-code'];
+
+const recordFailure = (req, Model, email, reason, account) =>
+  LoginAttempt.create({
+    email,
+    accountModel: Model.modelName,
+    account: account?._id,
+    reason,
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+// When the IP may try again, or null if it isn't blocked
+const getIpBlockedUntil = async ip => {
+  const windowMs = getSetting('LOGIN_IP_WINDOW_MINUTES', 15) * MINUTE_MS;
+  const maxFailures = getSetting('LOGIN_IP_MAX_FAILURES', 20);
+
+  const failures = await LoginAttempt.find({
+    ip,
+    reason: { $in: CREDENTIAL_FAILURES },
+    createdAt: { $gt: new Date(Date.now() - windowMs) }
+  })
+    .sort('-createdAt')
+    .skip(maxFailures - 1)
+    .limit(1)
+    .select('createdAt');
+
+  // Blocked until the oldest of the last maxFailures leaves the window
+  return failures.length ? new Date(failures[0].createdAt.getTime() + windowMs) : null;
+};
+
+// Penalty once an account has `attempts` failures in a row, the last at
+// `at`: a lock, a delay before the next try, or nothing yet
+const getPenalty = (attempts, at) => {
+  const maxAttempts = getSetting('LOGIN_MAX_ATTEMPTS', 5);
+  const delayAfter = getSetting('LOGIN_DELAY_AFTER', 3);
+
+  if (attempts >= maxAttempts) {
+    return { lockUntil: new Date(at + getSetting('LOGIN_LOCK_MINUTES', 15) * MINUTE_MS) };
+  }
+
+  if (attempts >= delayAfter) {
+    const seconds = Math.min(2 ** (attempts - delayAfter), MAX_DELAY_SECONDS);
+    return { loginDelayUntil: new Date(at + seconds * 1000) };
+  }
+
+  return {};
+};
+
+// Count a failed password against the account, delaying or locking it
+const registerFailure = async account => {
+  const updated = await account.constructor
+    .findByIdAndUpdate(account._id, { $inc: { failedLoginAttempts: 1 } }, { new: true })
+    .select('+failedLoginAttempts');
+  const attempts = updated.failedLoginAttempts;
+  const { lockUntil, loginDelayUntil } = getPenalty(attempts, Date.now());
+
+  if (lockUntil) {
+    await account.constructor.updateOne(
+      { _id: account._id },
+      { failedLoginAttempts: 0, lockUntil, $unset: { loginDelayUntil: 1 } }
+    );
+    console.warn(
+      `${account.constructor.modelName} ${account._id} locked after ${attempts} failed logins`
+    );
+  } else if (loginDelayUntil) {
+    await account.constructor.updateOne({ _id: account._id }, { loginDelayUntil });
+  }
+};
+
+// The delay and lock an unknown email would have if it were an account,
+// replayed from its recent failures, so that being throttled or locked
+// doesn't reveal which emails exist. Only the last day counts.
+const getUnknownEmailState = async (Model, email) => {
+  const failures = await LoginAttempt.find({
+    email,
+    accountModel: Model.modelName,
+    reason: 'unknown-account',
+    createdAt: { $gt: new Date(Date.now() - DAY_MS) }
+  })
+    .sort('createdAt')
+    .select('createdAt')
+    .lean();
+
+  let attempts = 0;
+  let state = {};
+
+  failures.forEach(({ createdAt }) => {
+    attempts += 1;
+    const penalty = getPenalty(attempts, createdAt.getTime());
+
+    if (penalty.lockUntil) {
+      attempts = 0;
+      state = penalty;
+    } else if (penalty.loginDelayUntil) {
+      state = { ...state, ...penalty };
+    }
+  });
+
+  return state;
+};
+
+const checkIp = async (req, Model, email) => {
+  const blockedUntil = await getIpBlockedUntil(req.ip);
+
+  if (blockedUntil) {
+    await recordFailure(req, Model, email, 'ip-blocked');
+    throw tooManyAttempts(
+      'Too many failed logins from this IP, please try again later',
+      'TOO_MANY_ATTEMPTS',
+      blockedUntil
+    );
+  }
+};
+
+// `state` holds lockUntil and loginDelayUntil: the account itself, loaded
+// with +loginDelayUntil +lockUntil, or getUnknownEmailState's stand-in
+const checkAccountOpen = async (req, Model, email, state, account) => {
+  if (state.lockUntil > Date.now()) {
+    await recordFailure(req, Model, email, 'locked', account);
+    throw tooManyAttempts(
+      'Account is temporarily locked after too many failed logins',
+      'ACCOUNT_LOCKED',
+      state.lockUntil
+    );
+  }
+
+  if (state.loginDelayUntil > Date.now()) {
+    await recordFailure(req, Model, email, 'throttled', account);
+    throw tooManyAttempts(
+      'Too many failed logins, please wait before trying again',
+      'LOGIN_THROTTLED',
+      state.loginDelayUntil
+    );
+  }
+};
+
+// Resolve to the account for email/password, or throw an ErrorResponse
+// (401 for bad credentials, 429 while throttled or locked)
+const authenticate = async (Model, email, password, req) => {
+  await checkIp(req, Model, email);
+
+  // Emails are stored lowercase, and the validators lowercase the input
+  const account = await Model.findOne({ email }).select(
+    '+password +failedLoginAttempts +loginDelayUntil +lockUntil'
+  );
+
+  if (!account) {
+    await checkAccountOpen(req, Model, email, await getUnknownEmailState(Model, email));
+    await bcrypt.compare(String(password), DUMMY_HASH);
+    await recordFailure(req, Model, email, 'unknown-account');
+    throw invalidCredentials();
+  }
+
+  await checkAccountOpen(req, Model, email, account, account);
+
+  if (!(await account.matchPassword(password))) {
+    await recordFailure(req, Model, email, 'bad-password', account);
+    await registerFailure(account);
+    throw invalidCredentials();
+  }
+
+  // With two-factor on, the counters are only cleared once the code has
+  // been accepted too, otherwise a known password would reset them between
+  // guesses at the code
+  if (
+    !account.twoFactor?.enabled &&
+    (account.failedLoginAttempts || account.lockUntil || account.loginDelayUntil)
+  ) {
+    await unlockAccount(account);
+  }
+
+  return account;
+};
+
+// Second step of a login whose password was accepted: `verify` checks the
+// code. Wrong codes count towards the same delay and lockout as wrong
+// passwords. Resolves to the account, or throws like authenticate.
+const authenticateSecondFactor = async (account, req, verify) => {
+  const Model = account.constructor;
+
+  await checkIp(req, Model, account.email);
+
+  const stored = await Model.findById(account._id).select(
+    '+failedLoginAttempts +loginDelayUntil +lockUntil'
+  );
+
+  await checkAccountOpen(req, Model, account.email, stored, account);
+
+  if (!(await verify())) {
+    await recordFailure(req, Model, account.email, 'bad-two-factor-code', account);
+    await registerFailure(account);
+    throw new ErrorResponse('Invalid two-factor code', 401, {
+      code: 'INVALID_TWO_FACTOR_CODE'
+    });
+  }
+
+  if (stored.failedLoginAttempts || stored.lockUntil || stored.loginDelayUntil) {
+    await unlockAccount(account);
+  }
+
+  return account;
+};
+
+// Clear failed attempts and any lock
+const unlockAccount = account =>
+  account.constructor.updateOne(
+    { _id: account._id },
+    { failedLoginAttempts: 0, $unset: { lockUntil: 1, loginDelayUntil: 1 } }
+  );
+
+module.exports = {
+  authenticate,
+  authenticateSecondFactor,
+  unlockAccount
+};
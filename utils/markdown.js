@@ -0,0 +1,110 @@
+// utils/markdown.js
+const { Marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+const slugify = require('./slugify');
+
+const WORDS_PER_MINUTE = 200;
+
+const SANITIZE_OPTIONS = {
+  allowedTags: sanitizeHtml.defaults.allowedTags.concat(['img', 'h1', 'h2', 'del']),
+  allowedAttributes: {
+    a: ['href', 'name', 'title', 'target', 'rel'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    code: ['class'],
+    h1: ['id'],
+    h2: ['id'],
+    h3: ['id'],
+    h4: ['id'],
+    h5: ['id'],
+    h6: ['id'],
+    th: ['align'],
+    td: ['align']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedClasses: {
+    code: [/^language-[\w-]+$/]
+  },
+  transformTags: {
+    // Links leaving the site must not get a handle on our window
+    a: (tagName, attribs) => ({
+      tagName,
+      attribs: attribs.target ? { ...attribs, rel: 'noopener noreferrer' } : attribs
+    })
+  }
+};
+
+// Text content of an HTML fragment
+const htmlToText = html =>
+  sanitizeHtml(html, { allowedTags: [], allowedAttributes: {} })
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Render Markdown to sanitized HTML. Headings get anchor ids, collected in
+// `toc` as { level, text, id } and image sources are listed in `images`.
+// Raw HTML in the source is allowed through only as far as SANITIZE_OPTIONS
+// permits.
+const renderMarkdown = (source = '') => {
+  const toc = [];
+  const usedIds = {};
+
+  const marked = new Marked({
+    gfm: true,
+    renderer: {
+      heading({ tokens, depth }) {
+        const inner = this.parser.parseInline(tokens);
+        const text = htmlToText(inner);
+        const base = slugify(text) || 'section';
+
+        usedIds[base] = (usedIds[base] || 0) + 1;
+        const id = usedIds[base] > 1 ? `${base}-${usedIds[base]}` : base;
+
+        toc.push({ level: depth, text, id });
+        return `<h${depth} id="${id}">${inner}</h${depth}>\n`;
+      }
+    }
+  });
+
+  // Image sources, whether written as Markdown or raw HTML
+  const images = [];
+  const html = sanitizeHtml(marked.parse(String(source)), {
+    ...SANITIZE_OPTIONS,
+    transformTags: {
+      ...SANITIZE_OPTIONS.transformTags,
+      img: (tagName, attribs) => {
+        if (attribs.src && !images.includes(attribs.src)) images.push(attribs.src);
+        return { tagName, attribs };
+      }
+    }
+  });
+  const text = htmlToText(html);
+  const words = text ? text.split(' ').length : 0;
+
+  return {
+    html,
+    text,
+    // Body text without headings, for excerpts
+    summary: htmlToText(html.replace(/<h([1-6])[^>]*>[\s\S]*?<\/h\1>/g, ' ')),
+    toc,
+    images,
+    readingTime: Math.max(1, Math.ceil(words / WORDS_PER_MINUTE))
+  };
+};
+
+// First `length` characters of the text, cut at a word boundary
+const makeExcerpt = (text, length = 200) => {
+  if (text.length <= length) return text;
+
+  const cut = text.slice(0, length - 1);
+  const space = cut.lastIndexOf(' ');
+  return `${(space > length / 2 ? cut.slice(0, space) : cut).replace(/[\s.,;:!?-]+$/, '')}…`;
+};
+
+module.exports = {
+  renderMarkdown,
+  makeExcerpt
+};
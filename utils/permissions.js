@@ -0,0 +1,96 @@
+// utils/permissions.js
+// Resolves a role name to its permissions. Roles are cached for
+// ROLE_CACHE_SECONDS (default 60), so changes made on another instance take
+// up to that long to apply there; this instance drops its cache at once.
+const Role = require('../models/Role');
+const Admin = require('../models/Admin');
+const {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  SUPER_ADMIN,
+  DEFAULT_ROLES
+} = require('../config/permissions');
+
+let cache = null;
+
+const getCacheMs = () => (Number(process.env.ROLE_CACHE_SECONDS) || 60) * 1000;
+
+const expand = permissions =>
+  new Set(permissions.includes(ALL_PERMISSIONS) ? Object.keys(PERMISSIONS) : permissions);
+
+const loadRoles = async () => {
+  if (cache && Date.now() - cache.loadedAt < getCacheMs()) {
+    return cache.roles;
+  }
+
+  const roles = await Role.find().select('name permissions').lean();
+  cache = {
+    loadedAt: Date.now(),
+    roles: new Map(roles.map(role => [role.name, expand(role.permissions)]))
+  };
+
+  return cache.roles;
+};
+
+const clearRoleCache = () => {
+  cache = null;
+};
+
+// Set of permissions for a role name; unknown roles get none
+const getPermissions = async roleName => {
+  if (roleName === SUPER_ADMIN) {
+    return expand([ALL_PERMISSIONS]);
+  }
+
+  return (await loadRoles()).get(roleName) || new Set();
+};
+
+// Whether the signed-in user may do something. req.permissions is set by
+// protect and optionalAuth.
+const can = (req, permission) => Boolean(req.permissions?.has(permission));
+
+// Editors may change any post; authors only their own drafts
+const canEditBlog = (req, blog) =>
+  can(req, 'blogs:edit-any') ||
+  (can(req, 'blogs:edit-own') && blog.author.equals(req.user._id) && blog.isDraft);
+
+// Make sure someone can manage roles: with no super-admin yet, promote the
+// staff account named by SUPER_ADMIN_EMAIL, or else the oldest one
+const ensureSuperAdmin = async () => {
+  if (await Admin.exists({ role: SUPER_ADMIN })) return;
+
+  const email = process.env.SUPER_ADMIN_EMAIL?.trim().toLowerCase();
+  const admin =
+    (email && (await Admin.findOne({ email }))) ||
+    (await Admin.findOne().sort('createdAt'));
+
+  if (!admin) return;
+
+  await Admin.updateOne({ _id: admin._id }, { role: SUPER_ADMIN });
+  console.log(`Made ${admin.email} super-admin`);
+};
+
+// Create any built-in roles that are missing; existing ones are left as
+// they were edited
+const syncDefaultRoles = async () => {
+  await Role.bulkWrite(
+    DEFAULT_ROLES.map(role => ({
+      updateOne: {
+        filter: { name: role.name },
+        update: { $setOnInsert: { ...role, builtIn: true } },
+        upsert: true
+      }
+    }))
+  );
+  clearRoleCache();
+
+  await ensureSuperAdmin();
+};
+
+module.exports = {
+  getPermissions,
+  can,
+  canEditBlog,
+  clearRoleCache,
+  syncDefaultRoles
+};
@@ -0,0 +1,196 @@
+// utils/sessions.js
+// Short-lived JWT access tokens plus rotating refresh tokens backed by the
+// Session model. Both are sent as httpOnly cookies and in the response body,
+// so browsers and header-based clients work the same way.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const ErrorResponse = require('./errorResponse');
+
+const ACCESS_COOKIE = 'token';
+const REFRESH_COOKIE = 'refreshToken';
+// Both account routers live under here, and so do their refresh endpoints
+const REFRESH_COOKIE_PATH = '/api/v1';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getRefreshTokenDays = () => Number(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+const hashToken = secret => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(32).toString('hex');
+
+// COOKIE_SAME_SITE defaults to lax, which keeps the cookies off requests
+// from other sites. A frontend on another site needs "none" (sent only over
+// HTTPS), and then the cookies go with every cross-site request, so CSRF
+// protection has to be in place before turning it on.
+const cookieOptions = extra => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.COOKIE_SAME_SITE || 'lax',
+  ...extra
+});
+
+// "<session id>.<secret>" -> { sessionId, secret }, or null
+const parseRefreshToken = token => {
+  const [sessionId, secret] = String(token || '').split('.');
+
+  if (!secret || !mongoose.isValidObjectId(sessionId)) {
+    return null;
+  }
+
+  return { sessionId, secret };
+};
+
+// Refresh token from the cookie, or from the body for header-based clients
+const getRefreshToken = req => req.cookies?.[REFRESH_COOKIE] || req.body?.refreshToken;
+
+// Access token from the Authorization header, falling back to the cookie
+const getAccessToken = req => {
+  if (req.headers.authorization?.startsWith('Bearer')) {
+    return req.headers.authorization.split(' ')[1];
+  }
+
+  return req.cookies?.[ACCESS_COOKIE];
+};
+
+// Set both cookies and send the tokens
+const sendTokens = (res, statusCode, account, session, secret) => {
+  const token = account.getSignedJwtToken(session._id);
+  const refreshToken = `${session._id}.${secret}`;
+  const { exp } = jwt.decode(token);
+
+  res
+    .status(statusCode)
+    .cookie(ACCESS_COOKIE, token, cookieOptions({ expires: new Date(exp * 1000) }))
+    .cookie(
+      REFRESH_COOKIE,
+      refreshToken,
+      cookieOptions({ expires: session.expiresAt, path: REFRESH_COOKIE_PATH })
+    )
+    .json({
+      success: true,
+      token,
+      refreshToken,
+      expiresAt: new Date(exp * 1000)
+    });
+};
+
+// Start a session for a freshly authenticated account and send its tokens.
+// Pass twoFactorVerified once the account's second factor has been checked.
+const sendTokenResponse = async (
+  account,
+  statusCode,
+  req,
+  res,
+  { twoFactorVerified = false } = {}
+) => {
+  const secret = newSecret();
+  const session = await Session.create({
+    account: account._id,
+    accountModel: account.constructor.modelName,
+    twoFactorVerified,
+    refreshTokenHash: hashToken(secret),
+    expiresAt: new Date(Date.now() + getRefreshTokenDays() * DAY_MS),
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  sendTokens(res, statusCode, account, session, secret);
+};
+
+// Swap a refresh token for a new access/refresh pair. A refresh token that
+// was already swapped means it leaked (or the client replayed it), so the
+// whole session is revoked; except within REFRESH_TOKEN_GRACE_SECONDS
+// (default 30) of the swap, when it is a concurrent refresh instead.
+const rotateRefreshToken = async (token, req, res) => {
+  const parsed = parseRefreshToken(token);
+
+  if (!parsed) {
+    throw new ErrorResponse('Invalid refresh token', 401, { code: 'INVALID_REFRESH_TOKEN' });
+  }
+
+  const presentedHash = hashToken(parsed.secret);
+  const graceMs = (Number(process.env.REFRESH_TOKEN_GRACE_SECONDS) || 30) * 1000;
+  const secret = newSecret();
+
+  // The token being swapped out stays valid for the grace period
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      ...Session.activeFilter(),
+      $or: [
+        { refreshTokenHash: presentedHash },
+        {
+          previousRefreshTokenHash: presentedHash,
+          rotatedAt: { $gt: new Date(Date.now() - graceMs) }
+        }
+      ]
+    },
+    [
+      {
+        $set: {
+          previousRefreshTokenHash: '$refreshTokenHash',
+          refreshTokenHash: hashToken(secret),
+          rotatedAt: '$$NOW',
+          lastUsedAt: '$$NOW'
+        }
+      }
+    ],
+    { new: true }
+  ).populate('account');
+
+  if (!session) {
+    const revoked = await Session.findOneAndUpdate(
+      { _id: parsed.sessionId, ...Session.activeFilter() },
+      { revokedAt: Date.now(), revokedReason: 'token-reuse' }
+    );
+
+    if (revoked) {
+      console.warn(`Refresh token reused for session ${parsed.sessionId}; session revoked`);
+    }
+
+    throw new ErrorResponse('Invalid refresh token', 401, { code: 'INVALID_REFRESH_TOKEN' });
+  }
+
+  if (!session.account) {
+    throw new ErrorResponse('Invalid refresh token', 401, { code: 'INVALID_REFRESH_TOKEN' });
+  }
+
+  sendTokens(res, 200, session.account, session, secret);
+};
+
+// Revoke the session behind a refresh token, if it is genuine
+const revokeRefreshToken = async (token, reason) => {
+  const parsed = parseRefreshToken(token);
+  if (!parsed) return;
+
+  await Session.updateOne(
+    { _id: parsed.sessionId, refreshTokenHash: hashToken(parsed.secret), revokedAt: null },
+    { revokedAt: Date.now(), revokedReason: reason }
+  );
+};
+
+// Revoke one session by id (the one the request's access token belongs to)
+const revokeSession = (sessionId, reason) =>
+  Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: Date.now(), revokedReason: reason }
+  );
+
+const clearAuthCookies = res => {
+  res
+    .clearCookie(ACCESS_COOKIE, cookieOptions())
+    .clearCookie(REFRESH_COOKIE, cookieOptions({ path: REFRESH_COOKIE_PATH }));
+};
+
+module.exports = {
+  getAccessToken,
+  getRefreshToken,
+  sendTokenResponse,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeSession,
+  clearAuthCookies
+};
@@ -0,0 +1,16 @@
+// utils/slugify.js
+const MAX_SLUG_LENGTH = 80;
+
+// "Career Change at 40? Here's How" -> "career-change-at-40-heres-how"
+const slugify = text =>
+  String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['\u2019]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/-+$/g, '');
+
+module.exports = slugify;
@@ -0,0 +1,73 @@
+// utils/spamCheck.js
+const Comment = require('../models/Comment');
+
+// Comments scoring this much or more go straight to spam
+const SPAM_THRESHOLD = 5;
+
+const SPAM_PHRASES = [
+  'viagra',
+  'casino',
+  'crypto giveaway',
+  'buy followers',
+  'payday loan',
+  'work from home and earn',
+  'click here',
+  'seo services'
+];
+
+// Score a new comment with a few cheap heuristics. Resolves to
+// { score, reasons, isSpam }.
+const checkSpam = async ({ content, authorName, authorEmail, ip, honeypot }) => {
+  const reasons = [];
+  let score = 0;
+
+  const flag = (points, reason) => {
+    score += points;
+    reasons.push(reason);
+  };
+
+  const text = `${authorName || ''} ${content || ''}`.toLowerCase();
+
+  // Hidden form field that only bots fill in
+  if (honeypot) {
+    flag(SPAM_THRESHOLD, 'honeypot');
+  }
+
+  const links = (content.match(/https?:\/\/|www\./gi) || []).length;
+  if (links > 2) {
+    flag(links, 'too many links');
+  } else if (links && content.length < 40) {
+    flag(2, 'link with little text');
+  }
+
+  SPAM_PHRASES.forEach(phrase => {
+    if (text.includes(phrase)) flag(3, `phrase: ${phrase}`);
+  });
+
+  const letters = content.replace(/[^a-z]/gi, '');
+  if (letters.length > 20 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.7) {
+    flag(2, 'mostly capitals');
+  }
+
+  if (/(.)\1{9,}/.test(content)) {
+    flag(2, 'repeated characters');
+  }
+
+  if (/https?:\/\//i.test(authorName || '')) {
+    flag(3, 'link in name');
+  }
+
+  // Same text posted again within the hour
+  const duplicate = await Comment.exists({
+    content,
+    createdAt: { $gte: new Date(Date.now() - 60 * 60 * 1000) },
+    $or: [{ ip }, { authorEmail }]
+  });
+  if (duplicate) {
+    flag(3, 'duplicate');
+  }
+
+  return { score, reasons, isSpam: score >= SPAM_THRESHOLD };
+};
+
+module.exports = checkSpam;
@@ -0,0 +1,31 @@
+// utils/storage/cloudinaryDriver.js
+const cloudinary = require('../../config/cloudinary');
+
+const ROOT_FOLDER = process.env.CLOUDINARY_FOLDER || 'coyolia';
+
+// Store a file. `key` is a path like "blogs/abc123/original" (no
+// extension); resolves to { key, url }.
+const put = (buffer, { key }) =>
+  new Promise((resolve, reject) => {
+    cloudinary.uploader
+      .upload_stream(
+        {
+          public_id: `${ROOT_FOLDER}/${key}`,
+          resource_type: 'image',
+          overwrite: true
+        },
+        (err, result) => {
+          if (err) return reject(err);
+          resolve({ key: result.public_id, url: result.secure_url });
+        }
+      )
+      .end(buffer);
+  });
+
+const remove = key => cloudinary.uploader.destroy(key, { resource_type: 'image' });
+
+module.exports = {
+  name: 'cloudinary',
+  put,
+  remove
+};
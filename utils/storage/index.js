@@ -0,0 +1,105 @@
+// utils/storage/index.js
+// Where uploaded media lives. STORAGE_DRIVER picks the backend:
+//   cloudinary (default)  Cloudinary, configured in config/cloudinary.js
+//   local                 files under public/uploads, served by Express at
+//                         API_URL/uploads
+// Every driver exposes put(buffer, { key, contentType }) -> { key, url }
+// and remove(key).
+const crypto = require('crypto');
+const { processImage } = require('../images');
+
+const drivers = {
+  cloudinary: () => require('./cloudinaryDriver'),
+  local: () => require('./localDriver')
+};
+
+let driver;
+
+const getDriver = () => {
+  if (!driver) {
+    const name = process.env.STORAGE_DRIVER || 'cloudinary';
+
+    if (!drivers[name]) {
+      throw new Error(`Unknown STORAGE_DRIVER: ${name}`);
+    }
+
+    driver = drivers[name]();
+  }
+
+  return driver;
+};
+
+// Store an uploaded image together with its resized variants under
+// `folder`. Resolves to the stored image:
+//   { public_id, url, width, height, format, driver,
+//     variants: [{ name, public_id, url, width, height }] }
+const storeImage = async (buffer, { folder }) => {
+  const storage = getDriver();
+  const { original, variants } = await processImage(buffer);
+  const prefix = `${folder}/${crypto.randomBytes(8).toString('hex')}`;
+  const stored = [];
+
+  try {
+    const saved = await storage.put(original.buffer, {
+      key: `${prefix}/original`,
+      contentType: original.contentType
+    });
+    stored.push(saved.key);
+
+    const savedVariants = [];
+
+    for (const variant of variants) {
+      const result = await storage.put(variant.buffer, {
+        key: `${prefix}/${variant.name}`,
+        contentType: variant.contentType
+      });
+      stored.push(result.key);
+      savedVariants.push({
+        name: variant.name,
+        public_id: result.key,
+        url: result.url,
+        width: variant.width,
+        height: variant.height
+      });
+    }
+
+    return {
+      public_id: saved.key,
+      url: saved.url,
+      width: original.width,
+      height: original.height,
+      format: original.format,
+      driver: storage.name,
+      variants: savedVariants
+    };
+  } catch (err) {
+    // Don't leave half an image behind
+    await Promise.all(stored.map(key => storage.remove(key).catch(() => {})));
+    throw err;
+  }
+};
+
+// Remove an image stored with storeImage (or an older { public_id } one)
+// and all of its variants. Failures are logged rather than thrown since the
+// record pointing at the files is usually already gone.
+const removeImage = async image => {
+  if (!image?.public_id) return;
+
+  const storage =
+    image.driver && drivers[image.driver] ? drivers[image.driver]() : getDriver();
+  const keys = [image.public_id, ...(image.variants || []).map(variant => variant.public_id)];
+
+  await Promise.all(
+    keys.map(key =>
+      storage.remove(key).catch(err => {
+        console.error(`Error deleting stored file ${key}:`, err.message);
+      })
+    )
+  );
+};
+
+module.exports = {
+  getDriver,
+  storeImage,
+  removeImage
+};
@@ -0,0 +1,70 @@
+// utils/storage/localDriver.js
+const fs = require('fs/promises');
+const path = require('path');
+
+// Files are written under public/uploads, which server.js serves at /uploads
+const UPLOAD_DIR = path.resolve(
+  process.env.LOCAL_UPLOAD_DIR || path.join(__dirname, '..', '..', 'public', 'uploads')
+);
+
+// URLs are absolute so they work from the frontend's origin and in emails and
+// feeds. API_URL is where this server is reachable; LOCAL_UPLOAD_URL
+// overrides the whole prefix, e.g. for a CDN in front of the folder.
+const getPublicUrl = () => {
+  if (process.env.LOCAL_UPLOAD_URL) {
+    return process.env.LOCAL_UPLOAD_URL.replace(/\/$/, '');
+  }
+
+  const base = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+  return `${base.replace(/\/$/, '')}/uploads`;
+};
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+
+// Keys come from our own code, but never let one escape the upload folder
+const resolveKey = key => {
+  const filePath = path.resolve(UPLOAD_DIR, key);
+
+  if (!filePath.startsWith(UPLOAD_DIR + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+
+  return filePath;
+};
+
+// Store a file. `key` is a path like "blogs/abc123/original" (no
+// extension); resolves to { key, url }.
+const put = async (buffer, { key, contentType }) => {
+  const fullKey = `${key}.${EXTENSIONS[contentType] || 'bin'}`;
+  const filePath = resolveKey(fullKey);
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, buffer);
+
+  return { key: fullKey, url: `${getPublicUrl()}/${fullKey}` };
+};
+
+const remove = async key => {
+  const filePath = resolveKey(key);
+
+  try {
+    await fs.unlink(filePath);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  // Tidy up the image's folder once its last file is gone
+  await fs.rmdir(path.dirname(filePath)).catch(() => {});
+};
+
+module.exports = {
+  name: 'local',
+  UPLOAD_DIR,
+  put,
+  remove
+};
@@ -0,0 +1,135 @@
+// utils/twoFactor.js
+// Admin two-factor authentication on top of utils/totp.js. Secrets are
+// stored encrypted (AES-256-GCM with a key from TWO_FACTOR_ENCRYPTION_KEY,
+// falling back to JWT_SECRET) and recovery codes only as hashes.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { verifyCode } = require('./totp');
+
+const RECOVERY_CODE_COUNT = 10;
+// How long the password step of a login stays valid while the code is asked for
+const PENDING_LOGIN_EXPIRE = '5m';
+
+const getKey = () =>
+  crypto
+    .createHash('sha256')
+    .update(String(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET))
+    .digest();
+
+const hash = value => crypto.createHash('sha256').update(value).digest('hex');
+
+// "iv.tag.ciphertext", base64url
+const encryptSecret = secret => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+};
+
+const decryptSecret = stored => {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Normalise what people type: "abcd-1234", "ABCD 1234" and "abcd1234" match
+const normaliseRecoveryCode = code => String(code).toLowerCase().replace(/[^a-f0-9]/g, '');
+
+// Fresh recovery codes: the plain codes to show once, and their hashes to store
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(code => hash(normaliseRecoveryCode(code))) };
+};
+
+// Whether admins must have two-factor enabled (ADMIN_2FA_REQUIRED=true)
+const isTwoFactorRequired = () => process.env.ADMIN_2FA_REQUIRED === 'true';
+
+// Check an authenticator code for an admin with two-factor enabled. Each
+// code works once: the step it belongs to is recorded and older or equal
+// steps are refused afterwards.
+const verifyAdminCode = async (admin, code) => {
+  const stored = await admin.constructor
+    .findById(admin._id)
+    .select('+twoFactor.secret +twoFactor.lastUsedStep');
+
+  if (!stored?.twoFactor?.secret) return false;
+
+  const step = verifyCode(decryptSecret(stored.twoFactor.secret), code);
+  if (step === null) return false;
+
+  const { modifiedCount } = await admin.constructor.updateOne(
+    {
+      _id: admin._id,
+      $or: [
+        { 'twoFactor.lastUsedStep': { $lt: step } },
+        { 'twoFactor.lastUsedStep': null }
+      ]
+    },
+    { 'twoFactor.lastUsedStep': step }
+  );
+
+  return modifiedCount === 1;
+};
+
+// Use up one recovery code
+const useRecoveryCode = async (admin, code) => {
+  const codeHash = hash(normaliseRecoveryCode(code));
+  const { modifiedCount } = await admin.constructor.updateOne(
+    { _id: admin._id, 'twoFactor.recoveryCodes': codeHash },
+    { $pull: { 'twoFactor.recoveryCodes': codeHash } }
+  );
+
+  return modifiedCount === 1;
+};
+
+// Second factor from a request body: { code } or { recoveryCode }
+const verifySecondFactor = (admin, { code, recoveryCode }) => {
+  if (code) return verifyAdminCode(admin, code);
+  if (recoveryCode) return useRecoveryCode(admin, recoveryCode);
+  return Promise.resolve(false);
+};
+
+// Short-lived token proving the password step of a login succeeded. It has
+// no session id, so `protect` never accepts it as an access token.
+const signPendingLogin = admin =>
+  jwt.sign({ id: admin._id, purpose: 'two-factor-login' }, process.env.JWT_SECRET, {
+    expiresIn: PENDING_LOGIN_EXPIRE
+  });
+
+// Admin id from a pending-login token, or null
+const verifyPendingLogin = token => {
+  try {
+    const decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+    return decoded.purpose === 'two-factor-login' ? decoded.id : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Answer a login whose password step passed for an admin with two-factor
+// on: the tokens come from POST /api/v1/auth/login/2fa once the code checks
+const sendTwoFactorChallenge = (admin, res) =>
+  res.status(200).json({
+    success: true,
+    twoFactorRequired: true,
+    twoFactorToken: signPendingLogin(admin)
+  });
+
+module.exports = {
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  isTwoFactorRequired,
+  verifyAdminCode,
+  verifySecondFactor,
+  signPendingLogin,
+  verifyPendingLogin,
+  sendTwoFactorChallenge
+};
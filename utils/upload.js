@@ -1,21 +1,37 @@
 const multer = require('multer');
-const cloudinary = require('cloudinary').v2;
-const { CloudinaryStorage } = require('multer-storage-cloudinary');
+const ErrorResponse = require('./errorResponse');
 
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
+const MAX_FILE_UPLOAD = parseInt(process.env.MAX_FILE_UPLOAD, 10) || 5000000; // 5MB default
 
-const storage = new CloudinaryStorage({
-  cloudinary: cloudinary,
-  params: {
-    folder: 'coyolia/temp',
-    allowed_formats: ['jpg', 'png', 'jpeg']
+// Files are kept in memory and handed to utils/storage, which sniffs the
+// real content type, builds the variants and writes them to the configured
+// driver. The mimetype check here only rejects obvious non-images early.
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_UPLOAD,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!file.mimetype.startsWith('image/')) {
+      return cb(new ErrorResponse('Please upload an image file (JPEG, PNG, GIF or WebP)', 400));
+    }
+    cb(null, true);
   }
 });
 
-const upload = multer({ storage });
-module.exports = upload;
\ No newline at end of file
+// Like upload.single(), but multer's own errors (file too large, unexpected
+// field) come back as 400s instead of falling through as 500s
+upload.singleImage = field => (req, res, next) => {
+  upload.single(field)(req, res, err => {
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `Image size must be less than ${MAX_FILE_UPLOAD / 1000000}MB`
+        : err.message;
+      return next(new ErrorResponse(message, 400));
+    }
+    next(err);
+  });
+};
+
+module.exports = upload;
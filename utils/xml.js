@@ -0,0 +1,14 @@
+// utils/xml.js
+const XML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&apos;'
+};
+
+const escapeXml = value => String(value).replace(/[&<>"']/g, char => XML_ESCAPES[char]);
+
+module.exports = {
+  escapeXml
+};
@@ -0,0 +1,53 @@
+// validators/appointmentValidators.js
+const Joi = require('joi');
+const { objectId, dateKey, time, appointmentType, idParam } = require('./common');
+
+const reason = Joi.string().trim().max(500);
+
+exports.createAppointment = {
+  body: Joi.object({
+    counselor: objectId.required(),
+    type: appointmentType.required(),
+    date: dateKey.required(),
+    time: time.required(),
+    notes: Joi.string().trim().max(500).allow('')
+  })
+};
+
+exports.updateAppointment = {
+  ...idParam,
+  body: Joi.object({
+    notes: Joi.string().trim().max(500).allow('').required()
+  })
+};
+
+exports.cancelAppointment = {
+  ...idParam,
+  body: Joi.object({
+    reason: reason.required()
+  })
+};
+
+exports.rescheduleAppointment = {
+  ...idParam,
+  body: Joi.object({
+    date: dateKey.required(),
+    time: time.required(),
+    type: appointmentType,
+    reason
+  })
+};
+
+// Staff with appointments:manage name the counselor; everyone else gets
+// their own feed
+exports.createCalendarToken = {
+  body: Joi.object({
+    counselor: objectId
+  })
+};
+
+exports.getCalendarFeed = {
+  query: Joi.object({
+    token: Joi.string().required()
+  })
+};
@@ -0,0 +1,82 @@
+// validators/blogValidators.js
+const Joi = require('joi');
+const { objectId, idParam, updateOf } = require('./common');
+
+// Fields an editor may set. Everything else on a post (author, rendered
+// HTML, media links, counters, publish dates) is managed by the server.
+const blogFields = {
+  title: Joi.string().trim().max(100),
+  content: Joi.string(),
+  excerpt: Joi.string().trim().max(200).allow(''),
+  tags: Joi.array().items(Joi.string().trim().max(50)),
+  slug: Joi.string().trim().max(120),
+  coverImage: objectId.allow(null),
+  isPublished: Joi.boolean(),
+  publishAt: Joi.date().iso().allow(null)
+};
+
+exports.createBlog = {
+  body: Joi.object({
+    ...blogFields,
+    title: blogFields.title.required(),
+    content: blogFields.content.required()
+  })
+};
+
+exports.updateBlog = {
+  ...idParam,
+  body: updateOf(blogFields)
+};
+
+exports.publishBlog = {
+  ...idParam,
+  body: Joi.object({
+    publishAt: Joi.date().iso()
+  })
+};
+
+exports.searchBlogs = {
+  query: Joi.object({
+    q: Joi.string().trim().required(),
+    tag: Joi.string(),
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(50)
+  })
+};
+
+exports.getBlogBySlug = {
+  params: Joi.object({
+    slug: Joi.string().max(200).required()
+  })
+};
+
+exports.getRevision = {
+  params: Joi.object({
+    id: objectId.required(),
+    version: Joi.number().integer().min(1).required()
+  })
+};
+
+exports.diffRevisions = {
+  ...idParam,
+  query: Joi.object({
+    from: Joi.number().integer().min(1).required(),
+    to: Joi.number().integer().min(1)
+  })
+};
+
+exports.blogComments = {
+  params: Joi.object({ blogId: objectId.required() })
+};
+
+exports.addComment = {
+  ...exports.blogComments,
+  body: Joi.object({
+    content: Joi.string().trim().max(2000).required(),
+    parent: objectId.allow(null),
+    // Guests only; signed-in commenters use their account details
+    name: Joi.string().trim().max(50),
+    email: Joi.string().trim().email(),
+    website: Joi.string().allow('')
+  })
+};
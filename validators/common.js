@@ -0,0 +1,54 @@
+// validators/common.js
+// Building blocks shared by the per-resource schemas
+const Joi = require('joi');
+const {
+  TIME_PATTERN,
+  APPOINTMENT_DURATIONS,
+  isValidDateKey
+} = require('../utils/availability');
+
+const objectId = Joi.string()
+  .hex()
+  .length(24)
+  .messages({
+    'string.hex': '{#label} must be a valid id',
+    'string.length': '{#label} must be a valid id'
+  });
+
+// YYYY-MM-DD, and a day that exists
+const dateKey = Joi.string()
+  .custom((value, helpers) => (isValidDateKey(value) ? value : helpers.error('date.key')))
+  .messages({ 'date.key': '{#label} must be a valid date formatted as YYYY-MM-DD' });
+
+// HH:mm, 24 hour
+const time = Joi.string()
+  .pattern(TIME_PATTERN)
+  .messages({ 'string.pattern.base': '{#label} must be formatted as HH:mm (24 hour)' });
+
+const appointmentType = Joi.string().valid(...Object.keys(APPOINTMENT_DURATIONS));
+
+const email = Joi.string().trim().lowercase().email();
+
+const password = Joi.string().min(6).max(128);
+
+// Body of a partial update: any of `fields`, but at least one of them
+const updateOf = fields =>
+  Joi.object(fields)
+    .min(1)
+    .messages({ 'object.min': 'Please provide at least one field to update' });
+
+// Routes addressed by /:id
+const idParam = {
+  params: Joi.object({ id: objectId.required() })
+};
+
+module.exports = {
+  objectId,
+  dateKey,
+  time,
+  appointmentType,
+  email,
+  password,
+  updateOf,
+  idParam
+};
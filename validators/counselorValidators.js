@@ -0,0 +1,85 @@
+// validators/counselorValidators.js
+const Joi = require('joi');
+const {
+  objectId,
+  dateKey,
+  time,
+  appointmentType,
+  email,
+  idParam,
+  updateOf
+} = require('./common');
+
+const weeklySlot = Joi.object({
+  dayOfWeek: Joi.number().integer().min(0).max(6).required(),
+  startTime: time.required(),
+  endTime: time.required()
+});
+
+const exceptionFields = {
+  startDate: dateKey.required(),
+  endDate: dateKey,
+  startTime: time,
+  endTime: time,
+  isAvailable: Joi.boolean(),
+  reason: Joi.string().trim().max(200).allow('')
+};
+
+const profileFields = {
+  // null unlinks the login account
+  user: objectId.allow(null),
+  name: Joi.string().trim().max(50),
+  email,
+  bio: Joi.string().trim().max(1000).allow(''),
+  specialties: Joi.array().items(Joi.string().trim().max(50)),
+  photo: Joi.object({
+    public_id: Joi.string(),
+    url: Joi.string().uri({ allowRelative: true })
+  }),
+  timeZone: Joi.string(),
+  isActive: Joi.boolean()
+};
+
+exports.createCounselor = {
+  body: Joi.object({
+    ...profileFields,
+    user: objectId,
+    name: profileFields.name.required(),
+    email: profileFields.email.required(),
+    weeklyAvailability: Joi.array().items(weeklySlot),
+    exceptions: Joi.array().items(Joi.object(exceptionFields))
+  })
+};
+
+exports.updateCounselor = {
+  ...idParam,
+  body: updateOf(profileFields)
+};
+
+exports.updateAvailability = {
+  ...idParam,
+  body: Joi.object({
+    weeklyAvailability: Joi.array().items(weeklySlot).required()
+  })
+};
+
+exports.addException = {
+  ...idParam,
+  body: Joi.object(exceptionFields)
+};
+
+exports.deleteException = {
+  params: Joi.object({
+    id: objectId.required(),
+    exceptionId: objectId.required()
+  })
+};
+
+exports.getSlots = {
+  ...idParam,
+  query: Joi.object({
+    from: dateKey,
+    to: dateKey,
+    type: appointmentType
+  })
+};
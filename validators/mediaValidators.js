@@ -0,0 +1,22 @@
+// validators/mediaValidators.js
+const Joi = require('joi');
+const { idParam, updateOf } = require('./common');
+
+const mediaFields = {
+  alt: Joi.string().trim().max(250).allow(''),
+  caption: Joi.string().trim().max(500).allow(''),
+  // An array, or "a,b,c" from the multipart upload form
+  tags: Joi.alternatives().try(
+    Joi.array().items(Joi.string().trim().max(50)),
+    Joi.string().max(1000).allow('')
+  )
+};
+
+exports.uploadMedia = {
+  body: Joi.object(mediaFields)
+};
+
+exports.updateMedia = {
+  ...idParam,
+  body: updateOf(mediaFields)
+};
@@ -0,0 +1,45 @@
+// validators/roleValidators.js
+const Joi = require('joi');
+const { email, idParam, updateOf } = require('./common');
+const { PERMISSIONS, CLIENT_PERMISSIONS, ALL_PERMISSIONS } = require('../config/permissions');
+
+const description = Joi.string().trim().max(200).allow('');
+const permissions = Joi.array()
+  .items(Joi.string().valid(ALL_PERMISSIONS, ...Object.keys(PERMISSIONS)))
+  .unique();
+// Client roles cannot be given staff powers
+const clientPermissions = Joi.array()
+  .items(Joi.string().valid(...CLIENT_PERMISSIONS))
+  .unique();
+
+exports.createRole = {
+  body: Joi.object({
+    name: Joi.string()
+      .trim()
+      .lowercase()
+      .max(30)
+      .pattern(/^[a-z][a-z0-9-]*$/, 'letters, numbers and hyphens')
+      .required(),
+    description,
+    accountModel: Joi.string().valid('Admin', 'User').required(),
+    permissions: Joi.when('accountModel', {
+      is: 'User',
+      then: clientPermissions,
+      otherwise: permissions
+    }).required()
+  })
+};
+
+// Names are fixed once created, since accounts refer to roles by name
+exports.updateRole = {
+  ...idParam,
+  body: updateOf({ description, permissions })
+};
+
+exports.assignRole = {
+  body: Joi.object({
+    email: email.required(),
+    accountType: Joi.string().valid('admin', 'user').required(),
+    role: Joi.string().trim().lowercase().required()
+  })
+};
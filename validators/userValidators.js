@@ -0,0 +1,102 @@
+// validators/userValidators.js
+const Joi = require('joi');
+const { email, password, updateOf } = require('./common');
+
+const name = Joi.string().trim().max(50);
+const phone = Joi.string().trim().max(20).allow('');
+
+exports.register = {
+  body: Joi.object({
+    name: name.required(),
+    email: email.required(),
+    phone,
+    password: password.required()
+  })
+};
+
+// Admin and user logins take the same credentials
+exports.login = {
+  body: Joi.object({
+    email: email.required(),
+    password: Joi.string().required()
+  })
+};
+
+exports.updateDetails = {
+  body: updateOf({ name, email, phone })
+};
+
+exports.updatePassword = {
+  body: Joi.object({
+    currentPassword: Joi.string().required(),
+    newPassword: password.required()
+  })
+};
+
+// Browsers send the refresh token as a cookie, other clients in the body
+exports.refreshToken = {
+  body: Joi.object({
+    refreshToken: Joi.string()
+  })
+};
+
+exports.updateAdminDetails = {
+  body: Joi.object({
+    email: email.required()
+  })
+};
+
+exports.forgotPassword = {
+  body: Joi.object({
+    email: email.required()
+  })
+};
+
+exports.resetPassword = {
+  params: Joi.object({
+    token: Joi.string().hex().length(64).required()
+  }),
+  body: Joi.object({
+    password: password.required()
+  })
+};
+
+exports.verifyEmail = {
+  params: Joi.object({
+    token: Joi.string().hex().length(64).required()
+  })
+};
+
+exports.unlockLogin = {
+  body: Joi.object({
+    email: email.required(),
+    accountType: Joi.string().valid('admin', 'user').required()
+  })
+};
+
+// Admin two-factor: a code from the authenticator app, or a recovery code
+const twoFactorCode = Joi.string().trim().pattern(/^\d{6}$/, '6 digit code');
+const recoveryCode = Joi.string().trim().max(20);
+
+exports.loginTwoFactor = {
+  body: Joi.object({
+    twoFactorToken: Joi.string().required(),
+    code: twoFactorCode,
+    recoveryCode
+  }).xor('code', 'recoveryCode')
+};
+
+exports.enableTwoFactor = {
+  body: Joi.object({
+    code: twoFactorCode.required()
+  })
+};
+
+// Re-authentication for changing or turning off two-factor
+exports.reauthenticateTwoFactor = {
+  body: Joi.object({
+    password: Joi.string().required(),
+    code: twoFactorCode,
+    recoveryCode
+  }).xor('code', 'recoveryCode')
+};